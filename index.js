@@ -1,3 +1,12 @@
-const { runPerformanceTest } = require('./nilgiriperformance');
+#!/usr/bin/env node
+const { runPerformanceTest, generateCustomHtmlReport, getAIAnalysis } = require('./nilgiriperformance');
+const { importTestPlan } = require('./lib/importers');
 
-module.exports = { runPerformanceTest };  // ✅ Export correctly
+module.exports = { runPerformanceTest, generateCustomHtmlReport, getAIAnalysis, importTestPlan };  // ✅ Export correctly
+
+// Run the command-line tool when invoked as `performancenilgiri`
+if (require.main === module) {
+    require('./lib/cli').main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
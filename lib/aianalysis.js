@@ -0,0 +1,156 @@
+const { requestCompletion } = require('./aiproviders');
+const { evaluateVerdict } = require('./verdict');
+const { deriveKpis } = require('./kpis');
+const { describeTest } = require('./reporters/results');
+const { createRedactor } = require('./redact');
+
+const SEVERITIES = ['high', 'medium', 'low'];
+
+// Fields every finding needs, from the AI and from the built-in rules in `lib/analyzer`; `value` is optional
+const FINDING_FIELDS = ['metric', 'severity', 'issue', 'recommendation', 'fix', 'explanation'];
+
+// Shown to the model as the expected reply
+const EXAMPLE_REPLY = {
+    findings: [{
+        metric: 'http_req_duration (p95)',
+        value: '1200.00ms',
+        severity: 'high',
+        issue: 'High response time for 95% of requests',
+        recommendation: 'Optimize database queries and reduce server-side processing time',
+        fix: '1. Add database indexes. 2. Use caching for frequently accessed data.',
+        explanation: 'High p95 response times indicate that most requests are slow, which can degrade user experience.'
+    }]
+};
+
+const SYSTEM_PROMPT = 'You are an expert in k6 performance testing and optimization. You reply with JSON only.';
+
+/**
+ * Builds the prompt for the AI analysis: every metric with all of its stats, the thresholds and checks,
+ * the headline KPIs and, when known, the request and load configuration. The data is redacted first.
+ * @param {Object} jsonData - k6 JSON data (`--summary-export` format).
+ * @param {Object} [context]
+ * @param {Object} [context.params] - `runPerformanceTest` parameters, with the options the test ran with.
+ * @param {Object} [context.profile] - Load profile from `describeProfile`.
+ * @param {Object} [context.kpis] - KPIs from `deriveKpis`.
+ * @param {boolean|Object} [context.redact] - Redaction rules, see `createRedactor`; the defaults apply when not set.
+ * @returns {string} - User prompt.
+ */
+function buildAnalysisPrompt(jsonData, { params, profile, kpis, redact } = {}) {
+    const verdict = evaluateVerdict(jsonData);
+    const data = createRedactor(redact).redact({
+        ...(params ? { test: describeTest(params, profile) } : {}),
+        kpis: kpis || deriveKpis(jsonData),
+        thresholds: verdict.thresholds,
+        checks: verdict.checks,
+        metrics: Object.fromEntries(Object.entries(jsonData.metrics || {})
+            .map(([name, { thresholds, ...stats }]) => [name, stats]))
+    });
+
+    return `
+Analyze the following k6 performance test and provide actionable insights, recommendations and fixes.
+
+### Test Data
+\`test\` is the request and load configuration, \`kpis\` the headline figures (durations in ms, rates as a share from 0 to 1),
+\`thresholds\` and \`checks\` the pass/fail results and \`metrics\` every k6 metric with all of its stats.
+
+${JSON.stringify(data, null, 2)}
+
+### Analysis Requirements
+1. **Identify Bottlenecks**: Highlight areas where performance is suboptimal (e.g., high response times, high failure rates, low throughput, crossed thresholds).
+2. **Recommendations for Improvement**: Suggest best practices for optimizing request durations, reducing failures and enhancing efficiency.
+3. **Fix Suggestions**: Provide specific fixes based on the metric values and the test configuration (e.g., caching, load balancing, database optimization).
+4. **Detailed Explanations**: Explain why each recommendation is relevant and how it addresses the identified issue.
+
+### Output Format
+Reply with a single JSON object and nothing else, in this shape:
+
+${JSON.stringify(EXAMPLE_REPLY, null, 2)}
+
+Rules
+1. Every finding MUST have the string fields ${FINDING_FIELDS.map(field => `"${field}"`).join(', ')}; "value" is optional.
+2. "severity" MUST be one of ${SEVERITIES.map(severity => `"${severity}"`).join(', ')}.
+3. Fields are plain text, not HTML or Markdown. Numbers MUST be rounded to 2 decimal places.
+4. Recommendations and fixes MUST be specific and actionable. Avoid generic advice.
+5. Return an empty "findings" array when nothing needs attention.
+`;
+}
+
+/**
+ * Parses and validates an AI reply against the findings schema.
+ * @param {string} reply - Reply text; a Markdown code fence around the JSON is accepted.
+ * @returns {{ findings: Array<Object>|null, problems: string[] }} - Findings, or the problems found.
+ */
+function parseFindings(reply) {
+    const text = String(reply).trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+    let data;
+    try {
+        data = JSON.parse(text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1));
+    } catch (error) {
+        return { findings: null, problems: ['the reply is not a JSON object'] };
+    }
+    if (!Array.isArray(data?.findings)) {
+        return { findings: null, problems: ['"findings" must be an array'] };
+    }
+
+    const problems = [];
+    const findings = data.findings.map((finding, index) => {
+        if (!finding || typeof finding !== 'object') {
+            problems.push(`findings[${index}] must be an object`);
+            return null;
+        }
+        FINDING_FIELDS.filter(field => typeof finding[field] !== 'string' || !finding[field].trim())
+            .forEach(field => problems.push(`findings[${index}].${field} must be a non-empty string`));
+        const severity = String(finding.severity).toLowerCase();
+        if (typeof finding.severity === 'string' && !SEVERITIES.includes(severity)) {
+            problems.push(`findings[${index}].severity must be one of: ${SEVERITIES.join(', ')}`);
+        }
+        return {
+            metric: finding.metric,
+            value: finding.value != null && finding.value !== '' ? String(finding.value) : '-',
+            severity,
+            issue: finding.issue,
+            recommendation: finding.recommendation,
+            fix: finding.fix,
+            explanation: finding.explanation
+        };
+    });
+    return problems.length ? { findings: null, problems } : { findings, problems };
+}
+
+/**
+ * Asks the AI for findings and validates the reply. A malformed reply is sent back with the problems found,
+ * up to `formatRetries` times, before giving up.
+ * @param {Object} aiConfig - AI settings, see `lib/aiproviders`; `formatRetries` defaults to 1.
+ * @param {Object} jsonData - k6 JSON data.
+ * @param {Object} [context] - Test context and redaction rules, see `buildAnalysisPrompt`.
+ * @param {Function} [context.onPrompt] - Receives every `{ system, user }` prompt as it is sent, e.g. for an audit log.
+ * @returns {Promise<Array<Object>>} - Findings with `metric`, `value`, `severity`, `issue`, `recommendation`, `fix` and `explanation`.
+ * @throws {Error} When the AI service fails or no reply matches the schema.
+ */
+async function requestFindings(aiConfig, jsonData, context = {}) {
+    const { formatRetries = 1 } = aiConfig;
+    const prompt = buildAnalysisPrompt(jsonData, context);
+    let user = prompt;
+
+    for (let attempt = 0; ; attempt++) {
+        context.onPrompt?.({ system: SYSTEM_PROMPT, user });
+        const reply = await requestCompletion(aiConfig, { system: SYSTEM_PROMPT, user });
+        const { findings, problems } = parseFindings(reply);
+        if (findings) {
+            return findings;
+        }
+        if (attempt >= formatRetries) {
+            throw new Error(`AI reply did not match the findings schema: ${problems.join('; ')}`);
+        }
+        console.warn(`AI reply did not match the findings schema (${problems[0]}), asking again...`);
+        user = `${prompt}
+### Previous Reply
+Your previous reply could not be used:
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+Reply again with only the JSON object described above.
+`;
+    }
+}
+
+module.exports = { SEVERITIES, FINDING_FIELDS, buildAnalysisPrompt, parseFindings, requestFindings };
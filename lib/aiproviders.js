@@ -0,0 +1,148 @@
+const axios = require('axios');
+
+/**
+ * Adapters for the supported AI services. Each one describes the auth header style,
+ * the request body shape and where the text lives in the response.
+ */
+const AI_PROVIDERS = {
+    // Azure OpenAI deployments: the model is part of the endpoint URL
+    azure: {
+        requiresKey: true,
+        headers: apiKey => ({ 'api-key': apiKey }),
+        body: ({ system, user }, config) => ({
+            messages: [{ role: 'system', content: system }, { role: 'user', content: user }],
+            temperature: config.temperature,
+            ...(config.model ? { model: config.model } : {})
+        }),
+        parse: data => data.choices[0].message.content
+    },
+    openai: {
+        defaultUrl: 'https://api.openai.com/v1/chat/completions',
+        requiresKey: true,
+        requiresModel: true,
+        headers: apiKey => ({ Authorization: `Bearer ${apiKey}` }),
+        body: ({ system, user }, config) => ({
+            model: config.model,
+            messages: [{ role: 'system', content: system }, { role: 'user', content: user }],
+            temperature: config.temperature
+        }),
+        parse: data => data.choices[0].message.content
+    },
+    anthropic: {
+        defaultUrl: 'https://api.anthropic.com/v1/messages',
+        requiresKey: true,
+        requiresModel: true,
+        headers: apiKey => ({ 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' }),
+        body: ({ system, user }, config) => ({
+            model: config.model,
+            system,
+            messages: [{ role: 'user', content: user }],
+            max_tokens: config.maxTokens,
+            temperature: config.temperature
+        }),
+        parse: data => data.content.filter(block => block.type === 'text').map(block => block.text).join('')
+    },
+    // Any OpenAI-compatible server running on-prem, e.g. Ollama, vLLM or LM Studio
+    local: {
+        defaultUrl: 'http://localhost:11434/v1/chat/completions',
+        requiresKey: false,
+        requiresModel: true,
+        headers: apiKey => (apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        body: ({ system, user }, config) => ({
+            model: config.model,
+            messages: [{ role: 'system', content: system }, { role: 'user', content: user }],
+            temperature: config.temperature,
+            stream: false
+        }),
+        parse: data => data.choices[0].message.content
+    }
+};
+
+// Not a network provider: selects the built-in rule-based analysis
+const OFFLINE_PROVIDER = 'offline';
+
+const DEFAULT_AI_CONFIG = {
+    provider: 'azure',
+    temperature: 0.1,
+    maxTokens: 4096,
+    timeout: 60000,
+    retries: 2,
+    retryDelay: 1000
+};
+
+/**
+ * Lists what is missing from an AI configuration for its provider.
+ * @param {Object} aiConfig - AI settings (`provider`, `AiUrl`, `apikey`, `model`, ...).
+ * @returns {string[]} - Problems found; empty when the configuration is usable.
+ */
+function validateAIConfig(aiConfig) {
+    if (aiConfig.provider === OFFLINE_PROVIDER) {
+        return [];
+    }
+    const provider = AI_PROVIDERS[aiConfig.provider || DEFAULT_AI_CONFIG.provider];
+    if (!provider) {
+        return [`unknown provider "${aiConfig.provider}" (use one of: ${[...Object.keys(AI_PROVIDERS), OFFLINE_PROVIDER].join(', ')})`];
+    }
+
+    const problems = [];
+    if (!aiConfig.AiUrl && !provider.defaultUrl) problems.push('AiUrl');
+    if (!aiConfig.apikey && provider.requiresKey) problems.push('apikey');
+    if (!aiConfig.model && provider.requiresModel) problems.push('model');
+    return problems;
+}
+
+/**
+ * Sends a system and user prompt to the configured AI provider and returns the reply text.
+ * Network errors, timeouts, 408, 429 and 5xx responses are retried with exponential backoff.
+ * @param {Object} aiConfig - AI settings (`provider`, `AiUrl`, `apikey`, `model`, `timeout`, `retries`, ...).
+ * @param {{ system: string, user: string }} prompt - Prompt messages.
+ * @returns {Promise<string>} - Reply text.
+ */
+async function requestCompletion(aiConfig, prompt) {
+    // Unset keys, as built from missing CLI flags, keep their defaults
+    const config = {
+        ...DEFAULT_AI_CONFIG,
+        ...Object.fromEntries(Object.entries(aiConfig).filter(([, value]) => value !== undefined && value !== null))
+    };
+    const provider = AI_PROVIDERS[config.provider];
+    const problems = validateAIConfig(config);
+    if (problems.length > 0) {
+        throw new Error(`Invalid AI configuration: missing or invalid ${problems.join(', ')}`);
+    }
+
+    const url = config.AiUrl || provider.defaultUrl;
+    const requestConfig = {
+        headers: { 'Content-Type': 'application/json', ...provider.headers(config.apikey) },
+        timeout: config.timeout
+    };
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await axios.post(url, provider.body(prompt, config), requestConfig);
+            return provider.parse(response.data).trim();
+        } catch (error) {
+            if (attempt >= config.retries || !isRetryable(error)) {
+                throw error;
+            }
+            const delay = retryDelay(error, config.retryDelay * 2 ** attempt);
+            console.warn(`AI request failed (${error.response?.status || error.code || error.message}), retrying in ${delay}ms...`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+function isRetryable(error) {
+    const status = error.response?.status;
+    if (!status) {
+        // Timeouts and connection errors
+        return !!error.code || !!error.request;
+    }
+    return status === 408 || status === 429 || status >= 500;
+}
+
+function retryDelay(error, fallback) {
+    const retryAfter = Number(error.response?.headers?.['retry-after']);
+    return Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : fallback;
+}
+
+module.exports = { AI_PROVIDERS, OFFLINE_PROVIDER, validateAIConfig, requestCompletion };
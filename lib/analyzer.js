@@ -0,0 +1,210 @@
+/**
+ * Built-in, rule-based analysis of k6 metrics. Used when no AI endpoint is configured or reachable,
+ * so air-gapped runs still get findings in the same schema as the AI (see `lib/aianalysis`).
+ */
+
+const { escapeHtml } = require('./html');
+
+const DEFAULT_LIMITS = {
+    p95: 500,                // ms, used when no p(95) threshold is defined on http_req_duration
+    errorRate: 0.01,         // share of failed requests
+    checksFailRate: 0.01,    // share of failed checks
+    connectionShare: 0.3,    // TLS + connect time relative to request duration
+    blockedP95: 10,          // ms spent waiting for a free connection
+    receivingShare: 0.3,     // receive time relative to request duration
+    tailRatio: 3             // p95 relative to the median
+};
+
+const RULES = [
+    function slowResponses(metrics, limits) {
+        const duration = metrics.http_req_duration;
+        if (!duration || !(duration['p(95)'] > limits.p95)) {
+            return null;
+        }
+        return {
+            metric: 'http_req_duration (p95)',
+            value: ms(duration['p(95)']),
+            severity: duration['p(95)'] > limits.p95 * 2 ? 'high' : 'medium',
+            issue: `95% of requests took up to ${ms(duration['p(95)'])}, above the ${ms(limits.p95)} target`,
+            recommendation: 'Reduce server-side processing time on the slowest code paths',
+            fix: '1. Profile the endpoint under load. 2. Add indexes or caching for the slowest queries. 3. Move non-essential work off the request path.',
+            explanation: `Waiting for the server (TTFB) averaged ${ms(metrics.http_req_waiting?.avg)} of the ${ms(duration.avg)} average request time, so most latency is spent in the backend rather than on the network.`
+        };
+    },
+
+    function failedRequests(metrics, limits) {
+        const failed = metrics.http_req_failed;
+        if (!failed || !(failed.value > limits.errorRate)) {
+            return null;
+        }
+        return {
+            metric: 'http_req_failed',
+            value: percent(failed.value),
+            severity: failed.value > limits.errorRate * 5 ? 'high' : 'medium',
+            issue: `${percent(failed.value)} of requests failed (${failed.passes} requests)`,
+            recommendation: 'Investigate the failing responses before tuning performance',
+            fix: '1. Check server logs for 5xx errors and timeouts during the test window. 2. Verify rate limits and connection limits on gateways. 3. Add retries only for transient failures.',
+            explanation: 'Failed requests often return faster than successful ones, so a high failure rate also makes latency figures look better than they are.'
+        };
+    },
+
+    function failedChecks(metrics, limits) {
+        const checks = metrics.checks;
+        const total = (checks?.passes || 0) + (checks?.fails || 0);
+        if (!total || !(checks.fails / total > limits.checksFailRate)) {
+            return null;
+        }
+        return {
+            metric: 'checks',
+            value: percent(checks.fails / total),
+            severity: 'medium',
+            issue: `${checks.fails} of ${total} checks failed`,
+            recommendation: 'Review which checks fail and whether responses are correct under load',
+            fix: '1. Compare failing responses with expected content. 2. Look for stale caches, partial responses or throttling messages.',
+            explanation: 'Checks validate response content; failures mean the service answers but not correctly, which raw latency and status codes do not show.'
+        };
+    },
+
+    function connectionSetup(metrics, limits) {
+        const duration = metrics.http_req_duration?.avg;
+        const setup = (metrics.http_req_tls_handshaking?.avg || 0) + (metrics.http_req_connecting?.avg || 0);
+        if (!duration || !(setup / duration > limits.connectionShare)) {
+            return null;
+        }
+        return {
+            metric: 'http_req_tls_handshaking + http_req_connecting (avg)',
+            value: ms(setup),
+            severity: 'medium',
+            issue: `Connection setup takes ${ms(setup)} on average, ${percent(setup / duration)} of the request time`,
+            recommendation: 'Reuse connections instead of opening new ones',
+            fix: '1. Enable HTTP keep-alive on the server and load balancer. 2. Enable TLS session resumption. 3. Consider HTTP/2 to multiplex requests over fewer connections.',
+            explanation: 'TCP and TLS handshakes add round trips before any request is sent; when they dominate, the cost is in connection handling rather than application code.'
+        };
+    },
+
+    function blockedRequests(metrics, limits) {
+        const blocked = metrics.http_req_blocked;
+        if (!blocked || !(blocked['p(95)'] > limits.blockedP95)) {
+            return null;
+        }
+        return {
+            metric: 'http_req_blocked (p95)',
+            value: ms(blocked['p(95)']),
+            severity: 'medium',
+            issue: `Requests waited up to ${ms(blocked['p(95)'])} for a free connection`,
+            recommendation: 'Check for connection pool exhaustion and slow DNS resolution',
+            fix: '1. Raise connection limits on the load balancer and server. 2. Check client and proxy connection pool sizes. 3. Verify DNS resolution time.',
+            explanation: 'Blocked time is spent before a request can be sent, typically waiting for a TCP connection slot or a DNS lookup; it grows when pools are too small for the load.'
+        };
+    },
+
+    function slowReceiving(metrics, limits) {
+        const duration = metrics.http_req_duration?.avg;
+        const receiving = metrics.http_req_receiving?.avg;
+        if (!duration || !(receiving / duration > limits.receivingShare)) {
+            return null;
+        }
+        const received = metrics.data_received?.count ?? metrics.data_received?.total;
+        const requests = metrics.http_reqs?.count;
+        return {
+            metric: 'http_req_receiving (avg)',
+            value: ms(receiving),
+            severity: 'low',
+            issue: `Downloading responses takes ${percent(receiving / duration)} of the request time${received && requests ? ` (about ${Math.round(received / requests)} bytes per response)` : ''}`,
+            recommendation: 'Reduce response payload size',
+            fix: '1. Enable gzip or brotli compression. 2. Paginate large collections. 3. Return only the fields clients need.',
+            explanation: 'Receive time grows with payload size and bandwidth; large responses slow every client and increase bandwidth costs.'
+        };
+    },
+
+    function tailLatency(metrics, limits) {
+        const duration = metrics.http_req_duration;
+        if (!duration?.med || !(duration['p(95)'] / duration.med > limits.tailRatio)) {
+            return null;
+        }
+        return {
+            metric: 'http_req_duration (p95 / median)',
+            value: `${(duration['p(95)'] / duration.med).toFixed(2)}x`,
+            severity: 'low',
+            issue: `The slowest 5% of requests take ${(duration['p(95)'] / duration.med).toFixed(2)} times longer than the median`,
+            recommendation: 'Look for intermittent slowdowns rather than uniformly slow code',
+            fix: '1. Check for garbage collection pauses, lock contention and cold caches. 2. Correlate slow requests with server metrics over time.',
+            explanation: 'A long latency tail means users see inconsistent response times even when averages look healthy.'
+        };
+    }
+];
+
+/**
+ * Runs the built-in rules over a k6 summary.
+ * @param {Object} jsonData - k6 JSON data.
+ * @param {Object} [limits] - Overrides for the default limits (`p95`, `errorRate`, ...).
+ * @returns {Array<Object>} - Findings with `metric`, `value`, `severity`, `issue`, `recommendation`, `fix` and `explanation`.
+ */
+function analyzeMetrics(jsonData, limits = {}) {
+    const metrics = jsonData.metrics || {};
+    const effectiveLimits = { ...DEFAULT_LIMITS, p95: p95Threshold(metrics) ?? DEFAULT_LIMITS.p95, ...limits };
+    return RULES.map(rule => rule(metrics, effectiveLimits)).filter(Boolean);
+}
+
+/**
+ * Renders findings from the AI or the built-in rules as an HTML table. Findings are plain text and are escaped.
+ * @param {Array<Object>} findings - Findings from `analyzeMetrics` or `getAIAnalysis`.
+ * @returns {string} - HTML table.
+ */
+function renderFindingsTable(findings) {
+    const rows = findings.length > 0
+        ? findings.map(finding => `
+  <tr>
+    <td>${escapeHtml(finding.metric)}</td>
+    <td>${escapeHtml(finding.value ?? '-')}</td>
+    <td>${escapeHtml(finding.severity || '-')}</td>
+    <td>${escapeHtml(finding.issue)}</td>
+    <td>${escapeHtml(finding.recommendation)}</td>
+    <td>${escapeHtml(finding.fix)}</td>
+    <td>${escapeHtml(finding.explanation)}</td>
+  </tr>`).join('')
+        : `
+  <tr>
+    <td>All metrics</td>
+    <td>-</td>
+    <td>-</td>
+    <td>No issues detected</td>
+    <td>Keep this run as a baseline for future comparisons</td>
+    <td>-</td>
+    <td>No metric needs attention in this run.</td>
+  </tr>`;
+
+    return `<table border="1">
+  <tr>
+    <th>Metric</th>
+    <th>Value</th>
+    <th>Severity</th>
+    <th>Issue</th>
+    <th>Recommendation</th>
+    <th>Fix/Suggestion</th>
+    <th>Explanation</th>
+  </tr>${rows}
+</table>`;
+}
+
+// Uses the user's own `p(95)<N` threshold on http_req_duration as the latency target
+function p95Threshold(metrics) {
+    const thresholds = Object.keys(metrics.http_req_duration?.thresholds || {});
+    for (const threshold of thresholds) {
+        const match = threshold.replace(/\s/g, '').match(/^p\(95\)<=?(\d+(?:\.\d+)?)$/);
+        if (match) {
+            return Number(match[1]);
+        }
+    }
+    return null;
+}
+
+function ms(value) {
+    return typeof value === 'number' ? `${value.toFixed(2)}ms` : 'N/A';
+}
+
+function percent(value) {
+    return `${(value * 100).toFixed(2)}%`;
+}
+
+module.exports = { analyzeMetrics, renderFindingsTable };
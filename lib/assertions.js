@@ -0,0 +1,243 @@
+/**
+ * Declarative response assertions. Each assertion becomes a named k6 check, so its pass/fail
+ * counts come back in the summary like any other check.
+ */
+
+// Operators shared by `header` and `json` assertions, with the label used in generated names
+const OPERATORS = {
+    equals: '==',
+    notEquals: '!=',
+    gt: '>',
+    gte: '>=',
+    lt: '<',
+    lte: '<=',
+    contains: 'contains',
+    matches: 'matches',
+    oneOf: 'is one of',
+    exists: 'exists'
+};
+
+const ASSERTION_TYPES = ['status', 'duration', 'header', 'json', 'body', 'schema'];
+
+/**
+ * Checks a list of assertions before any script is generated.
+ * @param {Array<Object>} assertions - Assertions of one request or step.
+ * @param {string} [label='request'] - Where the assertions are defined, used in error messages.
+ */
+function validateAssertions(assertions, label = 'request') {
+    if (!Array.isArray(assertions)) {
+        throw new Error(`${label}: \`assertions\` must be an array`);
+    }
+
+    const names = new Set();
+    assertions.forEach((assertion, index) => {
+        const where = `${label}: assertion ${index + 1}`;
+        if (!assertion || !ASSERTION_TYPES.includes(assertion.type)) {
+            throw new Error(`${where} has an unknown type "${assertion?.type}" (use one of: ${ASSERTION_TYPES.join(', ')})`);
+        }
+
+        switch (assertion.type) {
+            case 'status':
+                if (!Array.isArray(assertion.in) && !Number.isInteger(assertion.equals)) {
+                    throw new Error(`${where} needs \`equals\` (a status code) or \`in\` (a list of status codes)`);
+                }
+                break;
+            case 'duration':
+                if (!(typeof assertion.max === 'number' && assertion.max > 0)) {
+                    throw new Error(`${where} needs \`max\` (milliseconds)`);
+                }
+                break;
+            case 'header':
+            case 'json':
+                if (assertion.type === 'header' && !assertion.header) {
+                    throw new Error(`${where} needs \`header\` (the header name)`);
+                }
+                if (assertion.type === 'json' && !assertion.path) {
+                    throw new Error(`${where} needs \`path\` (a k6 JSON selector such as \`user.id\`)`);
+                }
+                validateOperator(assertion, Object.keys(OPERATORS), where);
+                break;
+            case 'body':
+                validateOperator(assertion, ['contains', 'matches'], where);
+                break;
+            case 'schema':
+                if (!assertion.schema || typeof assertion.schema !== 'object') {
+                    throw new Error(`${where} needs \`schema\` (a JSON schema object)`);
+                }
+                break;
+        }
+
+        const name = assertionName(assertion);
+        if (names.has(name)) {
+            throw new Error(`${where} duplicates the name "${name}"; give it a \`name\``);
+        }
+        names.add(name);
+    });
+}
+
+function validateOperator(assertion, allowed, where) {
+    const operators = allowed.filter(operator => assertion[operator] !== undefined);
+    if (operators.length !== 1) {
+        throw new Error(`${where} needs exactly one of: ${allowed.join(', ')}`);
+    }
+    const [operator] = operators;
+    if (operator === 'matches') {
+        try {
+            new RegExp(assertion.matches);
+        } catch (error) {
+            throw new Error(`${where} has an invalid regular expression: ${error.message}`);
+        }
+    }
+    if (operator === 'oneOf' && !Array.isArray(assertion.oneOf)) {
+        throw new Error(`${where}: \`oneOf\` must be a list`);
+    }
+}
+
+/**
+ * Readable name of an assertion, used as the k6 check name.
+ * @param {Object} assertion - Assertion configuration.
+ * @returns {string} - The assertion's `name`, or one generated from its type and operator.
+ */
+function assertionName(assertion) {
+    if (assertion.name) {
+        return assertion.name;
+    }
+    switch (assertion.type) {
+        case 'status':
+            return Array.isArray(assertion.in) ? `status in [${assertion.in.join(', ')}]` : `status is ${assertion.equals}`;
+        case 'duration':
+            return `response time < ${assertion.max}ms`;
+        case 'header':
+            return `header ${assertion.header} ${describeOperator(assertion)}`;
+        case 'json':
+            return `json ${assertion.path} ${describeOperator(assertion)}`;
+        case 'body':
+            return `body ${describeOperator(assertion)}`;
+        case 'schema':
+            return 'body matches schema';
+    }
+}
+
+function describeOperator(assertion) {
+    const operator = Object.keys(OPERATORS).find(key => assertion[key] !== undefined);
+    if (operator === 'exists') {
+        return assertion.exists ? 'exists' : 'is missing';
+    }
+    if (operator === 'matches') {
+        return `matches /${assertion.matches}/`;
+    }
+    return `${OPERATORS[operator]} ${JSON.stringify(assertion[operator])}`;
+}
+
+/**
+ * Generates the k6 check entries for a list of assertions.
+ * @param {Array<Object>} assertions - Assertions of one request or step.
+ * @param {string} [prefix=''] - Prefix for the check names, e.g. `[login] `.
+ * @returns {string} - `name: (r) => condition,` lines for a `check()` call.
+ */
+function generateAssertionChecks(assertions, prefix = '') {
+    return assertions.map(assertion => `${JSON.stringify(prefix + assertionName(assertion))}: (r) => ${generateCondition(assertion)},`).join('\n');
+}
+
+function generateCondition(assertion) {
+    const operator = Object.keys(OPERATORS).find(key => assertion[key] !== undefined);
+    switch (assertion.type) {
+        case 'status':
+            return Array.isArray(assertion.in)
+                ? `${JSON.stringify(assertion.in)}.includes(r.status)`
+                : `r.status === ${assertion.equals}`;
+        case 'duration':
+            return `r.timings.duration < ${assertion.max}`;
+        case 'header':
+            return `assertValue(responseHeader(r, ${JSON.stringify(assertion.header)}), ${JSON.stringify(operator)}, ${JSON.stringify(assertion[operator])})`;
+        case 'json':
+            return `assertValue(jsonValue(r, ${JSON.stringify(assertion.path)}), ${JSON.stringify(operator)}, ${JSON.stringify(assertion[operator])})`;
+        case 'body':
+            return `assertValue(r.body, ${JSON.stringify(operator)}, ${JSON.stringify(assertion[operator])})`;
+        case 'schema':
+            return `matchesSchema(jsonValue(r), ${JSON.stringify(assertion.schema)})`;
+    }
+}
+
+// Runtime helpers added to the generated script when any step has assertions
+const ASSERTION_HELPERS = `
+        function jsonValue(res, path) {
+            try {
+                return path ? res.json(path) : res.json();
+            } catch (e) {
+                return undefined;
+            }
+        }
+
+        function sameValue(a, b) {
+            return JSON.stringify(a) === JSON.stringify(b);
+        }
+
+        function assertValue(actual, operator, expected) {
+            const present = actual !== undefined && actual !== null;
+            switch (operator) {
+                case 'equals': return sameValue(actual, expected);
+                case 'notEquals': return !sameValue(actual, expected);
+                case 'gt': return typeof actual === 'number' && actual > expected;
+                case 'gte': return typeof actual === 'number' && actual >= expected;
+                case 'lt': return typeof actual === 'number' && actual < expected;
+                case 'lte': return typeof actual === 'number' && actual <= expected;
+                case 'contains': return Array.isArray(actual) ? actual.some(item => sameValue(item, expected)) : typeof actual === 'string' && actual.includes(expected);
+                case 'matches': return present && new RegExp(expected).test(String(actual));
+                case 'oneOf': return expected.some(value => sameValue(value, actual));
+                case 'exists': return present === expected;
+            }
+            return false;
+        }
+
+        // Minimal JSON schema validator: type, enum, const, required, properties, additionalProperties,
+        // items, min/maxItems, minimum, maximum, min/maxLength and pattern.
+        function matchesSchema(value, schema) {
+            if (schema.type) {
+                const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+                const actual = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+                if (!types.some(type => type === actual || (type === 'integer' && Number.isInteger(value)))) return false;
+            }
+            if (schema.enum && !schema.enum.some(item => sameValue(item, value))) return false;
+            if (schema.const !== undefined && !sameValue(schema.const, value)) return false;
+            if (typeof value === 'number') {
+                if (schema.minimum !== undefined && value < schema.minimum) return false;
+                if (schema.maximum !== undefined && value > schema.maximum) return false;
+            }
+            if (typeof value === 'string') {
+                if (schema.minLength !== undefined && value.length < schema.minLength) return false;
+                if (schema.maxLength !== undefined && value.length > schema.maxLength) return false;
+                if (schema.pattern && !new RegExp(schema.pattern).test(value)) return false;
+            }
+            if (Array.isArray(value)) {
+                if (schema.minItems !== undefined && value.length < schema.minItems) return false;
+                if (schema.maxItems !== undefined && value.length > schema.maxItems) return false;
+                if (schema.items && !value.every(item => matchesSchema(item, schema.items))) return false;
+            } else if (value && typeof value === 'object') {
+                if (schema.required && !schema.required.every(key => key in value)) return false;
+                const properties = schema.properties || {};
+                if (!Object.keys(properties).every(key => !(key in value) || matchesSchema(value[key], properties[key]))) return false;
+                if (schema.additionalProperties === false && !Object.keys(value).every(key => key in properties)) return false;
+            }
+            return true;
+        }`;
+
+/**
+ * Pairs every assertion with the counts of its k6 check.
+ * @param {Array<Object>} steps - Steps of the test (a plain request is one unnamed step).
+ * @param {Array<Object>} checks - Checks from `evaluateVerdict`.
+ * @returns {Array<Object>} - `{ name, step, type, passes, fails, passed }` per assertion; `passed` is `null` when the
+ *   assertion never ran, e.g. for a weighted step that was never picked.
+ */
+function summarizeAssertions(steps, checks) {
+    const byName = new Map(checks.map(check => [check.name, check]));
+    return steps.flatMap(step => (step.assertions || []).map(assertion => {
+        const name = assertionName(assertion);
+        const check = byName.get(step.name ? `[${step.name}] ${name}` : name);
+        const passes = check?.passes || 0;
+        const fails = check?.fails || 0;
+        return { name, step: step.name || null, type: assertion.type, passes, fails, passed: passes + fails === 0 ? null : fails === 0 };
+    }));
+}
+
+module.exports = { ASSERTION_HELPERS, validateAssertions, assertionName, generateAssertionChecks, summarizeAssertions };
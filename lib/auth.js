@@ -0,0 +1,253 @@
+/**
+ * Request authentication: basic, static bearer, API key and OAuth2 tokens fetched by the generated script.
+ */
+
+const AUTH_TYPES = ['basic', 'bearer', 'apikey', 'oauth2'];
+const OAUTH2_GRANTS = ['client_credentials', 'password'];
+
+// Tag on every request of the test itself when OAuth2 is used, so token requests stay out of the results
+const MEASURED_TAGS = { traffic: 'test' };
+const MEASURED_SELECTOR = '{traffic:test}';
+
+// Built-in HTTP metrics reported for measured requests only, with the always-passing threshold that makes
+// k6 report their `{traffic:test}` sub-metric
+const MEASURED_METRICS = {
+    http_reqs: 'count>=0',
+    http_req_failed: 'rate>=0',
+    http_req_duration: 'max>=0',
+    http_req_blocked: 'max>=0',
+    http_req_connecting: 'max>=0',
+    http_req_tls_handshaking: 'max>=0',
+    http_req_sending: 'max>=0',
+    http_req_waiting: 'max>=0',
+    http_req_receiving: 'max>=0'
+};
+
+const DEFAULT_OAUTH2 = {
+    grant: 'client_credentials',
+    per: 'test',
+    clientAuth: 'body',
+    refreshBefore: 30
+};
+
+/**
+ * Checks a request's `auth` configuration before any script is generated.
+ * @param {Object} auth - Auth configuration.
+ * @param {string} [label='request'] - Where the auth is defined, used in error messages.
+ */
+function validateAuth(auth, label = 'request') {
+    if (!auth || !AUTH_TYPES.includes(auth.type)) {
+        throw new Error(`${label}: auth has an unknown type "${auth?.type}" (use one of: ${AUTH_TYPES.join(', ')})`);
+    }
+
+    const required = {
+        basic: ['username', 'password'],
+        bearer: ['token'],
+        apikey: ['value'],
+        oauth2: ['tokenUrl', 'clientId']
+    }[auth.type];
+    if (auth.type === 'oauth2' && auth.grant === 'password') {
+        required.push('username', 'password');
+    }
+    const missing = required.filter(field => auth[field] === undefined || auth[field] === '');
+    if (missing.length > 0) {
+        throw new Error(`${label}: ${auth.type} auth is missing ${missing.join(', ')}`);
+    }
+
+    if (auth.type === 'apikey' && auth.in && !['header', 'query'].includes(auth.in)) {
+        throw new Error(`${label}: apikey auth \`in\` must be 'header' or 'query'`);
+    }
+    if (auth.type === 'oauth2') {
+        if (auth.grant && !OAUTH2_GRANTS.includes(auth.grant)) {
+            throw new Error(`${label}: oauth2 grant must be one of: ${OAUTH2_GRANTS.join(', ')}`);
+        }
+        if (auth.per && !['test', 'vu'].includes(auth.per)) {
+            throw new Error(`${label}: oauth2 \`per\` must be 'test' or 'vu'`);
+        }
+        if (auth.clientAuth && !['body', 'basic'].includes(auth.clientAuth)) {
+            throw new Error(`${label}: oauth2 \`clientAuth\` must be 'body' or 'basic'`);
+        }
+    }
+}
+
+/**
+ * Lists the distinct OAuth2 configurations used by the steps, with defaults applied.
+ * Steps sharing the same configuration share one token.
+ * @param {Array<Object>} steps - Steps of the test.
+ * @returns {Array<Object>} - OAuth2 configurations; a step's token is found by `oauthIndex`.
+ */
+function collectOAuthConfigs(steps) {
+    const configs = [];
+    steps.forEach(step => {
+        const auth = step.request.auth;
+        if (auth?.type === 'oauth2' && oauthIndex(configs, auth) === -1) {
+            configs.push({ ...DEFAULT_OAUTH2, ...auth });
+        }
+    });
+    return configs;
+}
+
+function oauthIndex(configs, auth) {
+    const key = JSON.stringify({ ...DEFAULT_OAUTH2, ...auth });
+    return configs.findIndex(config => JSON.stringify(config) === key);
+}
+
+/**
+ * Generates the header entries and query parameters that authenticate one request.
+ * @param {Object} [auth] - The request's auth configuration.
+ * @param {Array<Object>} oauthConfigs - Result of `collectOAuthConfigs`.
+ * @returns {{ headers: string, query: Object|null }} - Code for extra header entries (`key: value,`) and
+ *   query parameters to add to the URL.
+ */
+function generateAuthCode(auth, oauthConfigs) {
+    if (!auth) {
+        return { headers: '', query: null };
+    }
+    switch (auth.type) {
+        case 'basic':
+            return {
+                headers: `Authorization: 'Basic ' + b64encode(render(${JSON.stringify(auth.username)}, vars) + ':' + render(${JSON.stringify(auth.password)}, vars)),`,
+                query: null
+            };
+        case 'bearer':
+            return { headers: `Authorization: 'Bearer ' + render(${JSON.stringify(auth.token)}, vars),`, query: null };
+        case 'apikey': {
+            const name = auth.name || (auth.in === 'query' ? 'api_key' : 'X-API-Key');
+            return auth.in === 'query'
+                ? { headers: '', query: { [name]: auth.value } }
+                : { headers: `${JSON.stringify(name)}: render(${JSON.stringify(auth.value)}, vars),`, query: null };
+        }
+        case 'oauth2':
+            return { headers: `Authorization: 'Bearer ' + authToken(${oauthIndex(oauthConfigs, auth)}, setupData, vars),`, query: null };
+    }
+}
+
+/**
+ * Generates the token handling added to the script when any request uses OAuth2: the token request,
+ * a per-VU cache that refreshes tokens `refreshBefore` seconds before they expire, and `setup()` for
+ * tokens shared by the whole test. Token requests are tagged `auth: token` and timed in the
+ * `auth_token_duration` Trend; they lack `MEASURED_TAGS`, so they are left out of the HTTP metrics reported.
+ * @param {Array<Object>} oauthConfigs - Result of `collectOAuthConfigs`.
+ * @param {string} [setupVars='{}'] - Expression for the placeholder values available in `setup()`.
+ * @returns {string} - k6 code.
+ */
+function generateOAuthCode(oauthConfigs, setupVars = '{}') {
+    if (oauthConfigs.length === 0) {
+        return '';
+    }
+    const shared = oauthConfigs.map((config, index) => ({ config, index })).filter(({ config }) => config.per === 'test');
+
+    return `
+        const OAUTH2 = ${JSON.stringify(oauthConfigs, null, 4)};
+        const authTokenDuration = new Trend('auth_token_duration', true);
+        // Tokens this VU currently holds, by OAUTH2 index
+        const authTokens = {};
+
+        function fetchToken(config, vars, refreshToken) {
+            const clientId = render(config.clientId, vars);
+            const clientSecret = config.clientSecret !== undefined ? render(config.clientSecret, vars) : undefined;
+            const form = refreshToken
+                ? { grant_type: 'refresh_token', refresh_token: refreshToken }
+                : { grant_type: config.grant };
+            if (!refreshToken && config.grant === 'password') {
+                form.username = render(config.username, vars);
+                form.password = render(config.password, vars);
+            }
+            if (config.scope) form.scope = render(config.scope, vars);
+            if (config.audience) form.audience = render(config.audience, vars);
+
+            const headers = {};
+            if (config.clientAuth === 'basic') {
+                headers.Authorization = 'Basic ' + b64encode(clientId + ':' + (clientSecret || ''));
+            } else {
+                form.client_id = clientId;
+                if (clientSecret !== undefined) form.client_secret = clientSecret;
+            }
+
+            const res = http.post(render(config.tokenUrl, vars), form, { headers, tags: { name: 'auth_token', auth: 'token' } });
+            authTokenDuration.add(res.timings.duration);
+            if (res.status !== 200) {
+                // An expired refresh token falls back to a fresh grant
+                if (refreshToken) return fetchToken(config, vars);
+                throw new Error('Token request to ' + config.tokenUrl + ' failed with status ' + res.status);
+            }
+            const payload = res.json();
+            return {
+                accessToken: payload.access_token,
+                refreshToken: payload.refresh_token,
+                expiresAt: Date.now() + (payload.expires_in || 3600) * 1000
+            };
+        }
+
+        function authToken(index, setupData, vars) {
+            const config = OAUTH2[index];
+            let token = authTokens[index] || (setupData && setupData.authTokens && setupData.authTokens[index]);
+            if (!token) {
+                token = fetchToken(config, vars);
+            } else if (Date.now() >= token.expiresAt - config.refreshBefore * 1000) {
+                token = fetchToken(config, vars, token.refreshToken);
+            }
+            authTokens[index] = token;
+            return token.accessToken;
+        }
+        ${shared.length > 0 ? `
+        export function setup() {
+            const authTokens = {};
+            ${shared.map(({ index }) => `authTokens[${index}] = fetchToken(OAUTH2[${index}], ${setupVars});`).join('\n            ')}
+            return { authTokens };
+        }` : ''}`;
+}
+
+/**
+ * Moves thresholds on the built-in HTTP metrics to their `{traffic:test}` sub-metric and adds an always-passing
+ * one for the others, so that k6 reports every HTTP metric without the token requests as well.
+ * Used together with `MEASURED_TAGS` on the test's requests and `withoutTokenRequests` on the summary.
+ * @param {Object} options - k6 options.
+ * @returns {Object} - k6 options with the measured-traffic thresholds.
+ */
+function withMeasuredTrafficThresholds(options) {
+    const thresholds = { ...(options?.thresholds || {}) };
+    Object.entries(MEASURED_METRICS).forEach(([metric, expression]) => {
+        const key = metric + MEASURED_SELECTOR;
+        const moved = [...(thresholds[key] || []), ...(thresholds[metric] || [])];
+        thresholds[key] = moved.length > 0 ? moved : [expression];
+        delete thresholds[metric];
+    });
+    return { ...options, thresholds };
+}
+
+/**
+ * Replaces the built-in HTTP metrics of a k6 summary with their `{traffic:test}` sub-metric, so KPIs, reports,
+ * baselines and the verdict only see the requests under test. The user's thresholds are reported under the
+ * metric again; on metrics the user set none for, the injected one is dropped. Summaries of tests without
+ * OAuth2 are returned unchanged.
+ * @param {Object} jsonData - k6 summary export.
+ * @param {Object} [thresholds] - The user's thresholds, before `withMeasuredTrafficThresholds`.
+ * @returns {Object} - Summary without the token requests.
+ */
+function withoutTokenRequests(jsonData, thresholds = {}) {
+    const metrics = { ...(jsonData?.metrics || {}) };
+    let changed = false;
+    Object.keys(MEASURED_METRICS).forEach(metric => {
+        const key = metric + MEASURED_SELECTOR;
+        if (!metrics[key]) {
+            return;
+        }
+        const { thresholds: results, ...values } = metrics[key];
+        const injected = !thresholds?.[metric]?.length && !thresholds?.[key]?.length;
+        metrics[metric] = results && !injected ? { ...values, thresholds: results } : values;
+        delete metrics[key];
+        changed = true;
+    });
+    return changed ? { ...jsonData, metrics } : jsonData;
+}
+
+module.exports = {
+    MEASURED_TAGS,
+    validateAuth,
+    collectOAuthConfigs,
+    generateAuthCode,
+    generateOAuthCode,
+    withMeasuredTrafficThresholds,
+    withoutTokenRequests
+};
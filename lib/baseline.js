@@ -0,0 +1,92 @@
+const fs = require('fs');
+
+/**
+ * Key performance indicators compared against the baseline.
+ * `relative` tolerances are a percentage of the baseline value; `absolute` tolerances are percentage points.
+ */
+const BASELINE_METRICS = [
+    { key: 'http_req_duration.avg', label: 'Avg Response Time', metric: 'http_req_duration', stat: 'avg', unit: 'ms', higherIsWorse: true, tolerance: 10, toleranceType: 'relative' },
+    { key: 'http_req_duration.med', label: 'Median Response Time', metric: 'http_req_duration', stat: 'med', unit: 'ms', higherIsWorse: true, tolerance: 10, toleranceType: 'relative' },
+    { key: 'http_req_duration.p(90)', label: '90th Percentile Response Time', metric: 'http_req_duration', stat: 'p(90)', unit: 'ms', higherIsWorse: true, tolerance: 10, toleranceType: 'relative' },
+    { key: 'http_req_duration.p(95)', label: '95th Percentile Response Time', metric: 'http_req_duration', stat: 'p(95)', unit: 'ms', higherIsWorse: true, tolerance: 10, toleranceType: 'relative' },
+    { key: 'http_req_waiting.p(95)', label: '95th Percentile Wait Time', metric: 'http_req_waiting', stat: 'p(95)', unit: 'ms', higherIsWorse: true, tolerance: 10, toleranceType: 'relative' },
+    { key: 'iteration_duration.p(95)', label: '95th Percentile Iteration Time', metric: 'iteration_duration', stat: 'p(95)', unit: 'ms', higherIsWorse: true, tolerance: 10, toleranceType: 'relative' },
+    { key: 'http_reqs.rate', label: 'Throughput', metric: 'http_reqs', stat: 'rate', unit: 'req/s', higherIsWorse: false, tolerance: 10, toleranceType: 'relative' },
+    { key: 'http_req_failed.rate', label: 'HTTP Error Rate', metric: 'http_req_failed', stat: 'value', unit: '%', higherIsWorse: true, tolerance: 1, toleranceType: 'absolute' },
+    { key: 'checks.rate', label: 'Checks Pass Rate', metric: 'checks', stat: 'value', unit: '%', higherIsWorse: false, tolerance: 1, toleranceType: 'absolute' }
+];
+
+/**
+ * Normalizes the `baseline` option. A plain string is treated as the baseline summary path.
+ * @param {string|Object} baseline - Baseline configuration.
+ * @returns {{ path: string, tolerances: Object }} - Normalized configuration.
+ */
+function normalizeBaselineConfig(baseline) {
+    const config = typeof baseline === 'string' ? { path: baseline } : { ...baseline };
+    if (!config.path) {
+        throw new Error('Missing summary path in `baseline` configuration');
+    }
+
+    const unknown = Object.keys(config.tolerances || {}).filter(key => !BASELINE_METRICS.some(metric => metric.key === key));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown baseline tolerance keys: ${unknown.join(', ')}. Use one of: ${BASELINE_METRICS.map(metric => metric.key).join(', ')}`);
+    }
+    return { tolerances: {}, ...config };
+}
+
+/**
+ * Loads a previous k6 summary (for example one saved through `detailedReportjson`).
+ * @param {string} baselinePath - Path to the baseline summary JSON.
+ * @returns {Object} - Baseline k6 summary.
+ */
+function loadBaseline(baselinePath) {
+    const summary = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+    if (!summary.metrics) {
+        throw new Error(`Baseline ${baselinePath} is not a k6 summary (missing "metrics")`);
+    }
+    return summary;
+}
+
+/**
+ * Compares a k6 summary with a baseline summary and flags regressions beyond the tolerances.
+ * @param {Object} current - k6 summary of this run.
+ * @param {Object} baseline - k6 summary of the baseline run.
+ * @param {Object} [tolerances] - Tolerance overrides keyed by metric key, e.g. `{ 'http_req_duration.p(95)': 15 }`.
+ * @returns {{ comparisons: Array<Object>, regressions: Array<string>, passed: boolean }} - Per-metric deltas and the regressed keys.
+ */
+function compareToBaseline(current, baseline, tolerances = {}) {
+    const comparisons = BASELINE_METRICS.map(definition => {
+        const baselineValue = baseline.metrics?.[definition.metric]?.[definition.stat];
+        const currentValue = current.metrics?.[definition.metric]?.[definition.stat];
+        if (typeof baselineValue !== 'number' || typeof currentValue !== 'number') {
+            return null;
+        }
+
+        // Rates are compared in percentage points
+        const scale = definition.unit === '%' ? 100 : 1;
+        const delta = (currentValue - baselineValue) * scale;
+        const deltaPercent = baselineValue !== 0 ? (currentValue - baselineValue) / baselineValue * 100 : null;
+        const tolerance = tolerances[definition.key] ?? definition.tolerance;
+
+        const change = definition.toleranceType === 'absolute' ? delta : deltaPercent;
+        const worsening = change === null ? 0 : (definition.higherIsWorse ? change : -change);
+
+        return {
+            key: definition.key,
+            label: definition.label,
+            unit: definition.unit,
+            baseline: baselineValue * scale,
+            current: currentValue * scale,
+            delta,
+            deltaPercent,
+            tolerance,
+            toleranceType: definition.toleranceType,
+            regression: worsening > tolerance
+        };
+    }).filter(Boolean);
+
+    const regressions = comparisons.filter(comparison => comparison.regression).map(comparison => comparison.key);
+    return { comparisons, regressions, passed: regressions.length === 0 };
+}
+
+module.exports = { normalizeBaselineConfig, loadBaseline, compareToBaseline };
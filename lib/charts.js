@@ -0,0 +1,19 @@
+const fs = require('fs');
+const path = require('path');
+
+let chartJsSource = null;
+
+/**
+ * Returns a `<script>` tag with the Chart.js bundle inlined, so reports render without any network access.
+ * @returns {string} - Inline script tag.
+ */
+function inlineChartJsScript() {
+    if (chartJsSource === null) {
+        const bundlePath = path.join(path.dirname(require.resolve('chart.js')), 'chart.umd.js');
+        // Keep the bundle from closing the surrounding script element
+        chartJsSource = fs.readFileSync(bundlePath, 'utf8').replace(/<\/script/gi, '<\\/script');
+    }
+    return `<script>${chartJsSource}</script>`;
+}
+
+module.exports = { inlineChartJsScript };
@@ -0,0 +1,531 @@
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { runPerformanceTest, generateCustomHtmlReport, getAIAnalysis } = require('../nilgiriperformance');
+const { loadTestPlan } = require('./testplan');
+const { normalizeBaselineConfig, loadBaseline, compareToBaseline } = require('./baseline');
+const { THRESHOLDS_FAILED_EXIT_CODE } = require('./verdict');
+const { AI_PROVIDERS, OFFLINE_PROVIDER, validateAIConfig } = require('./aiproviders');
+const { IMPORT_FORMATS, importTestPlan, toPlanYaml } = require('./importers');
+const { PROFILE_TYPES } = require('./profiles');
+const { analyzeMetrics, renderFindingsTable } = require('./analyzer');
+const { createRedactor } = require('./redact');
+const { loadHistory, generateTrendDashboard } = require('./history');
+const { OUTPUT_TYPES } = require('./outputs');
+
+const USAGE = `
+Usage: performancenilgiri <command> [options]
+
+Commands:
+  run                    Run a k6 performance test (prompts for missing values)
+  report <summary.json>  Rebuild the HTML report from an existing k6 summary
+  analyze <summary.json> Send an existing k6 summary to the AI and print its findings as JSON
+  import <file>          Create a test plan from an OpenAPI 3 document, Postman collection or HAR file
+  trend <history dir>    Build an HTML dashboard of p95 latency, throughput and error rate across recorded runs
+
+Run options:
+  -p, --plan <file>        YAML/JSON test plan; the flags below override its values
+  -e, --env <name>         Environment of the plan to run against (base URL, headers, credentials, limits)
+  -u, --url <url>          Target URL
+  -m, --method <method>    HTTP method (default: GET)
+  -b, --body <json>        JSON request body
+  -H, --header <header>    Request header as "Name: value" (repeatable)
+      --vus <n>            Virtual users
+  -d, --duration <time>    Test duration, e.g. 30s or 5m
+      --profile <name>     Load profile: ${PROFILE_TYPES.join(', ')}; --vus, --rate, --peak and
+                           --duration then set its load and hold time
+      --rate <n>           Iterations per second for a profile (arrival-rate executors)
+      --peak <n>           Peak VUs or rate for the stress, spike and breakpoint profiles
+      --iterations <n>     Total iterations shared by all VUs
+      --stages <stages>    Ramp-up stages as duration:target pairs, e.g. "30s:10,1m:50,30s:0"
+      --think-time <sec>   Delay between iterations in seconds (default: 1)
+      --apdex-t <ms>       Apdex threshold T: responses within T satisfy, within 4T tolerate (default: 500)
+      --json <path>        Save the detailed k6 summary JSON
+      --baseline <path>    Compare with a previous k6 summary JSON (also for report)
+      --junit <path>       Save threshold and check results as JUnit XML
+      --report <path>      Save a Markdown (.md), CSV (.csv) or JSON results (.json) report (repeatable)
+      --name <name>        Test name shown in reports
+      --history <dir>      Record the run in a history directory for the trend dashboard
+      --label <label>      Label of the recorded run, e.g. a git SHA or build number
+      --stream <type=url>  Stream live metrics to ${OUTPUT_TYPES.join(', ')} while the test runs,
+                           e.g. prometheus=http://localhost:9090/api/v1/write (repeatable)
+      --export <path>      Also write the generated k6 script to this path
+      --dry-run            Validate the test and generate the script without running k6
+      --no-redact          Keep credentials, tokens, emails and card numbers in reports, exports and AI
+                           requests (also for report and analyze)
+  -i, --interactive        Prompt for every value
+
+Import options:
+      --format <format>    ${IMPORT_FORMATS.join(', ')} (default: detected from the file)
+      --include <pattern>  Keep matching operations: name, "METHOD /path" or tag, * as wildcard (repeatable)
+      --exclude <pattern>  Drop matching operations (repeatable)
+      --weight <p=n>       Relative weight for matching operations, e.g. "GET *=8" (repeatable)
+      --base-url <url>     Base URL for OpenAPI paths
+      --include-static     Keep images, scripts and stylesheets from a HAR file
+
+Trend options:
+      --test <name>        Only this test
+      --last <n>           Only the last n runs of each test
+
+Report and AI options:
+  -o, --out <path>         Output path for the HTML report, AI analysis, imported plan (YAML) or trend dashboard
+      --ai-provider <name> AI provider: ${[...Object.keys(AI_PROVIDERS), OFFLINE_PROVIDER].join(', ')} (default: azure)
+      --ai-model <model>   Model name (required for openai, anthropic and local)
+      --ai-url <url>       AI service endpoint URL
+      --api-key <key>      API key for the AI service
+
+  -h, --help               Show this help
+`;
+
+const OPTIONS = {
+    plan: { type: 'string', short: 'p' },
+    env: { type: 'string', short: 'e' },
+    url: { type: 'string', short: 'u' },
+    method: { type: 'string', short: 'm' },
+    body: { type: 'string', short: 'b' },
+    header: { type: 'string', short: 'H', multiple: true },
+    vus: { type: 'string' },
+    duration: { type: 'string', short: 'd' },
+    profile: { type: 'string' },
+    rate: { type: 'string' },
+    peak: { type: 'string' },
+    iterations: { type: 'string' },
+    stages: { type: 'string' },
+    'think-time': { type: 'string' },
+    'apdex-t': { type: 'string' },
+    json: { type: 'string' },
+    baseline: { type: 'string' },
+    junit: { type: 'string' },
+    report: { type: 'string', multiple: true },
+    name: { type: 'string' },
+    history: { type: 'string' },
+    label: { type: 'string' },
+    test: { type: 'string' },
+    last: { type: 'string' },
+    stream: { type: 'string', multiple: true },
+    export: { type: 'string' },
+    'dry-run': { type: 'boolean' },
+    'no-redact': { type: 'boolean' },
+    interactive: { type: 'boolean', short: 'i' },
+    out: { type: 'string', short: 'o' },
+    format: { type: 'string' },
+    include: { type: 'string', multiple: true },
+    exclude: { type: 'string', multiple: true },
+    weight: { type: 'string', multiple: true },
+    'base-url': { type: 'string' },
+    'include-static': { type: 'boolean' },
+    'ai-provider': { type: 'string' },
+    'ai-model': { type: 'string' },
+    'ai-url': { type: 'string' },
+    'api-key': { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Entry point of the `performancenilgiri` command.
+ * @param {string[]} argv - Command-line arguments without the node and script paths.
+ * @returns {Promise<number>} - Process exit code.
+ */
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        console.error(error.message);
+        console.log(USAGE);
+        return 1;
+    }
+
+    const { values, positionals } = parsed;
+    const [command, ...args] = positionals;
+
+    if (values.help || !command) {
+        console.log(USAGE);
+        return values.help ? 0 : 1;
+    }
+
+    try {
+        switch (command) {
+            case 'run':
+                await runCommand(values);
+                return 0;
+            case 'report':
+                await reportCommand(args[0], values);
+                return 0;
+            case 'analyze':
+                await analyzeCommand(args[0], values);
+                return 0;
+            case 'import':
+                importCommand(args[0], values);
+                return 0;
+            case 'trend':
+                trendCommand(args[0], values);
+                return 0;
+            default:
+                console.error(`Unknown command: ${command}`);
+                console.log(USAGE);
+                return 1;
+        }
+    } catch (error) {
+        console.error(error.message);
+        // Mirror k6's exit code for crossed thresholds so pipelines can tell them apart
+        return error.verdict ? THRESHOLDS_FAILED_EXIT_CODE : 1;
+    }
+}
+
+async function runCommand(values) {
+    if (values.plan) {
+        await runInterruptible(applyPlanOverrides(loadTestPlan(values.plan), values));
+        return;
+    }
+
+    const answers = values.interactive || (!values.url && process.stdin.isTTY)
+        ? await promptRunOptions(values)
+        : values;
+
+    if (!answers.url) {
+        throw new Error('Missing --url (or run with --interactive)');
+    }
+    // Answering no to the AI prompt drops the AI flags; without a report they would have nowhere to go
+    const aiConfig = answers.useAI === false ? null : aiConfigFromFlags(answers);
+    if (aiConfig && !answers.out) {
+        throw new Error('AI analysis is added to the HTML report: pass --out with the --ai-* options');
+    }
+
+    await runInterruptible({
+        request: {
+            method: (answers.method || 'GET').toUpperCase(),
+            url: answers.url,
+            ...(answers.body ? { body: parseJson(answers.body, '--body') } : {}),
+            ...(answers.header?.length ? { headers: parseHeaders(answers.header) } : {})
+        },
+        ...(answers.profile ? { profile: buildProfile(answers), options: {} } : { options: buildOptions(answers) }),
+        ...(answers.env ? { environment: answers.env } : {}),
+        htmlReport: answers.out || null,
+        aireport: aiConfig ? requireValidAIConfig(aiConfig) : null,
+        detailedReportjson: answers.json || null,
+        baseline: answers.baseline || null,
+        junitReport: answers.junit || null,
+        ...(answers.report?.length ? { reports: answers.report } : {}),
+        ...(answers.name ? { name: answers.name } : {}),
+        ...(answers.history ? { history: { dir: answers.history, label: answers.label } } : {}),
+        ...(answers.stream?.length ? { outputs: parseStreams(answers.stream) } : {}),
+        exportScript: answers.export || null,
+        dryRun: !!answers['dry-run'],
+        ...(answers['no-redact'] ? { redact: false } : {}),
+        ...(answers['apdex-t'] !== undefined ? { apdexT: Number(answers['apdex-t']) } : {}),
+        thinkTime: answers['think-time'] !== undefined ? Number(answers['think-time']) : 1
+    });
+}
+
+// Ctrl+C stops k6 gracefully and still reports on the partial run instead of killing the CLI
+async function runInterruptible(params) {
+    const controller = new AbortController();
+    const onInterrupt = () => controller.abort();
+    process.once('SIGINT', onInterrupt);
+    try {
+        return await runPerformanceTest({ ...params, signal: controller.signal });
+    } finally {
+        process.removeListener('SIGINT', onInterrupt);
+    }
+}
+
+async function reportCommand(summaryPath, values) {
+    const jsonData = readSummary(summaryPath);
+    const reportPath = values.out || 'performance_report.html';
+
+    const redact = values['no-redact'] ? false : undefined;
+    const redactor = createRedactor(redact);
+    const aiConfig = aiConfigFromFlags(values);
+    const prompts = [];
+    let aiAnalysis = null;
+    let analysisSource = aiConfig?.provider === OFFLINE_PROVIDER ? 'offline' : 'ai';
+    if (aiConfig) {
+        requireValidAIConfig(aiConfig);
+        // Like `run`, fall back to the built-in analysis when the AI service fails
+        try {
+            aiAnalysis = await getAIAnalysis(jsonData, aiConfig.AiUrl, aiConfig.apikey, aiConfig, {
+                redact,
+                onPrompt: prompt => prompts.push(prompt)
+            });
+        } catch (error) {
+            console.warn('AI analysis unavailable, using the built-in analysis instead');
+            aiAnalysis = analyzeMetrics(jsonData);
+            analysisSource = 'offline';
+        }
+    }
+
+    let baseline = null;
+    if (values.baseline) {
+        const config = normalizeBaselineConfig(values.baseline);
+        baseline = { path: config.path, ...compareToBaseline(jsonData, loadBaseline(config.path)) };
+    }
+    generateCustomHtmlReport(redactor.redact(jsonData), aiAnalysis, reportPath, {
+        baseline,
+        analysisSource,
+        aiAudit: prompts.length ? {
+            provider: aiConfig.provider || 'azure',
+            model: aiConfig.model || null,
+            url: redactor.redactText(aiConfig.AiUrl || AI_PROVIDERS[aiConfig.provider || 'azure'].defaultUrl || ''),
+            rules: redactor.rules,
+            prompts
+        } : null
+    });
+}
+
+async function analyzeCommand(summaryPath, values) {
+    const jsonData = readSummary(summaryPath);
+    const aiConfig = requireValidAIConfig(aiConfigFromFlags(values) || {});
+
+    const findings = await getAIAnalysis(jsonData, aiConfig.AiUrl, aiConfig.apikey, aiConfig, {
+        redact: values['no-redact'] ? false : undefined
+    });
+    // An .html path gets the findings table, anything else the findings as JSON
+    const output = values.out && /\.html?$/i.test(values.out)
+        ? renderFindingsTable(findings)
+        : JSON.stringify({ findings }, null, 2);
+    if (values.out) {
+        fs.writeFileSync(values.out, `${output}\n`);
+        console.log(`${aiConfig.provider === OFFLINE_PROVIDER ? 'Offline' : 'AI'} analysis saved: ${values.out}`);
+    } else {
+        console.log(output);
+    }
+}
+
+function importCommand(sourcePath, values) {
+    if (!sourcePath) {
+        throw new Error('Missing path to the OpenAPI, Postman or HAR file');
+    }
+    const plan = importTestPlan(sourcePath, {
+        format: values.format,
+        include: values.include,
+        exclude: values.exclude,
+        weights: values.weight ? parseWeights(values.weight) : undefined,
+        baseUrl: values['base-url'],
+        includeStatic: values['include-static']
+    });
+
+    const yaml = toPlanYaml(plan);
+    if (values.out) {
+        fs.writeFileSync(values.out, yaml);
+        console.log(`Test plan with ${plan.steps.length} step(s) saved: ${values.out}`);
+    } else {
+        console.log(yaml);
+    }
+}
+
+function trendCommand(historyDir, values) {
+    if (!historyDir) {
+        throw new Error('Missing path to the history directory');
+    }
+    const last = values.last !== undefined ? Number(values.last) : undefined;
+    if (last !== undefined && !(last > 0)) {
+        throw new Error('--last must be a positive number');
+    }
+    const history = loadHistory(historyDir, { test: values.test, last });
+    const outputPath = values.out || 'performance_trends.html';
+    generateTrendDashboard(history, outputPath);
+    console.log(`Trend dashboard for ${history.length} test(s) saved: ${outputPath}`);
+}
+
+/**
+ * Asks for the run parameters with inquirer, using any flags already given as defaults.
+ * @param {Object} values - Parsed command-line flags.
+ * @returns {Promise<Object>} - Flags merged with the answers.
+ */
+async function promptRunOptions(values) {
+    // inquirer is ESM-only, so it is loaded on demand
+    const { default: inquirer } = await import('inquirer');
+
+    const answers = await inquirer.prompt([
+        { type: 'input', name: 'url', message: 'Target URL:', default: values.url, validate: input => !!input || 'URL is required' },
+        { type: 'list', name: 'method', message: 'HTTP method:', choices: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'], default: (values.method || 'GET').toUpperCase() },
+        {
+            type: 'input',
+            name: 'body',
+            message: 'JSON request body (leave empty for none):',
+            default: values.body,
+            when: current => ['POST', 'PUT', 'PATCH'].includes(current.method)
+        },
+        { type: 'confirm', name: 'useStages', message: 'Use ramp-up stages?', default: !!values.stages },
+        {
+            type: 'input',
+            name: 'stages',
+            message: 'Stages as duration:target pairs (e.g. 30s:10,1m:50,30s:0):',
+            default: values.stages,
+            when: current => current.useStages
+        },
+        { type: 'input', name: 'vus', message: 'Virtual users:', default: values.vus || '10', when: current => !current.useStages },
+        { type: 'input', name: 'duration', message: 'Duration (e.g. 30s, 5m):', default: values.duration || '30s', when: current => !current.useStages },
+        { type: 'input', name: 'iterations', message: 'Total iterations (leave empty for none):', default: values.iterations },
+        { type: 'input', name: 'think-time', message: 'Delay between iterations in seconds:', default: values['think-time'] || '1' },
+        { type: 'input', name: 'json', message: 'Path to save the detailed JSON summary (leave empty to skip):', default: values.json },
+        { type: 'input', name: 'out', message: 'Path to save the HTML report (leave empty to skip):', default: values.out },
+        { type: 'confirm', name: 'useAI', message: 'Add AI analysis to the report?', default: !!aiConfigFromFlags(values), when: current => !!current.out },
+        { type: 'list', name: 'ai-provider', message: 'AI provider:', choices: [...Object.keys(AI_PROVIDERS), OFFLINE_PROVIDER], default: values['ai-provider'] || 'azure', when: current => current.useAI },
+        { type: 'input', name: 'ai-model', message: 'Model name:', default: values['ai-model'], when: current => current.useAI && !['azure', OFFLINE_PROVIDER].includes(current['ai-provider']) },
+        { type: 'input', name: 'ai-url', message: 'AI service endpoint URL (leave empty for the provider default):', default: values['ai-url'], when: current => current.useAI && current['ai-provider'] !== OFFLINE_PROVIDER },
+        { type: 'password', name: 'api-key', message: 'AI service API key:', default: values['api-key'], when: current => current.useAI && current['ai-provider'] !== OFFLINE_PROVIDER }
+    ]);
+
+    return { ...values, ...answers };
+}
+
+/**
+ * Builds the AI settings from the command-line flags.
+ * @param {Object} values - Parsed command-line flags.
+ * @returns {Object|null} - AI settings, or null when no AI flag was given.
+ */
+function aiConfigFromFlags(values) {
+    if (!values['ai-provider'] && !values['ai-model'] && !values['ai-url'] && !values['api-key']) {
+        return null;
+    }
+    return {
+        ...(values['ai-provider'] ? { provider: values['ai-provider'] } : {}),
+        ...(values['ai-model'] ? { model: values['ai-model'] } : {}),
+        ...(values['ai-url'] ? { AiUrl: values['ai-url'] } : {}),
+        ...(values['api-key'] ? { apikey: values['api-key'] } : {})
+    };
+}
+
+function requireValidAIConfig(aiConfig) {
+    const problems = validateAIConfig(aiConfig);
+    if (problems.length > 0) {
+        const flags = { AiUrl: '--ai-url', apikey: '--api-key', model: '--ai-model' };
+        throw new Error(`Missing or invalid AI options: ${problems.map(problem => flags[problem] || problem).join(', ')}`);
+    }
+    return aiConfig;
+}
+
+/**
+ * Applies command-line flags on top of a loaded test plan.
+ * @param {Object} params - Parameters loaded from the plan.
+ * @param {Object} values - Parsed command-line flags.
+ * @returns {Object} - Parameters for `runPerformanceTest`.
+ */
+function applyPlanOverrides(params, values) {
+    // With a profile, the load flags adjust the profile instead of the k6 options
+    if (values.profile || params.profile) {
+        const planProfile = typeof params.profile === 'string' ? { type: params.profile } : params.profile;
+        params = { ...params, profile: { ...planProfile, ...buildProfile(values) } };
+    } else if (values.stages) {
+        delete params.options?.vus;
+        delete params.options?.duration;
+    }
+    return {
+        ...params,
+        options: { ...params.options, ...(params.profile ? {} : buildOptions(values)) },
+        ...(values.env ? { environment: values.env } : {}),
+        ...(values.json ? { detailedReportjson: values.json } : {}),
+        ...(values.out ? { htmlReport: values.out } : {}),
+        ...(values.baseline ? { baseline: values.baseline } : {}),
+        ...(values.junit ? { junitReport: values.junit } : {}),
+        ...(values.report?.length ? { reports: [...(params.reports || []), ...values.report] } : {}),
+        ...(values.name ? { name: values.name } : {}),
+        ...(values.history || values.label ? { history: historyOverrides(params.history, values) } : {}),
+        ...(values.stream?.length ? { outputs: [...[].concat(params.outputs || []), ...parseStreams(values.stream)] } : {}),
+        ...(values.export ? { exportScript: values.export } : {}),
+        ...(values['dry-run'] ? { dryRun: true } : {}),
+        ...(values['no-redact'] ? { redact: false } : {}),
+        ...(values['apdex-t'] !== undefined ? { apdexT: Number(values['apdex-t']) } : {}),
+        ...(values['think-time'] !== undefined ? { thinkTime: Number(values['think-time']) } : {})
+    };
+}
+
+function buildOptions(answers) {
+    const options = {};
+    if (answers.stages) {
+        options.stages = parseStages(answers.stages);
+    } else {
+        if (answers.vus) options.vus = Number(answers.vus);
+        if (answers.duration) options.duration = answers.duration;
+    }
+    if (answers.iterations) {
+        options.iterations = Number(answers.iterations);
+    }
+    return options;
+}
+
+function historyOverrides(history, values) {
+    const config = typeof history === 'string' ? { dir: history } : { ...history };
+    if (values.history) config.dir = values.history;
+    if (values.label) config.label = values.label;
+    return config;
+}
+
+/**
+ * Builds load-profile parameters from the command-line flags.
+ * @param {Object} answers - Parsed command-line flags.
+ * @returns {Object} - Profile parameters that were given.
+ */
+function buildProfile(answers) {
+    const profile = {};
+    if (answers.profile) profile.type = answers.profile;
+    ['vus', 'rate', 'peak'].forEach(key => {
+        if (answers[key]) profile[key] = Number(answers[key]);
+    });
+    if (answers.duration) profile.duration = answers.duration;
+    return profile;
+}
+
+/**
+ * Parses stages given as comma-separated duration:target pairs.
+ * @param {string} value - For example "30s:10,1m:50,30s:0".
+ * @returns {Array<{ duration: string, target: number }>} - k6 stages.
+ */
+function parseStages(value) {
+    return value.split(',').map(stage => {
+        const [duration, target] = stage.trim().split(':');
+        if (!duration || target === undefined || Number.isNaN(Number(target))) {
+            throw new Error(`Invalid stage "${stage}". Use duration:target, e.g. 30s:10`);
+        }
+        return { duration, target: Number(target) };
+    });
+}
+
+function parseWeights(weights) {
+    return Object.fromEntries(weights.map(weight => {
+        const index = weight.lastIndexOf('=');
+        const value = Number(weight.slice(index + 1));
+        if (index === -1 || !(value > 0)) {
+            throw new Error(`Invalid weight "${weight}". Use pattern=weight, e.g. "GET *=8"`);
+        }
+        return [weight.slice(0, index).trim(), value];
+    }));
+}
+
+function parseHeaders(headers) {
+    return Object.fromEntries(headers.map(header => {
+        const index = header.indexOf(':');
+        if (index === -1) {
+            throw new Error(`Invalid header "${header}". Use "Name: value"`);
+        }
+        return [header.slice(0, index).trim(), header.slice(index + 1).trim()];
+    }));
+}
+
+function parseStreams(streams) {
+    return streams.map(stream => {
+        const index = stream.indexOf('=');
+        if (index === -1) {
+            throw new Error(`Invalid --stream "${stream}". Use "type=url", e.g. influxdb=http://localhost:8086/k6`);
+        }
+        return { type: stream.slice(0, index).trim(), url: stream.slice(index + 1).trim() };
+    });
+}
+
+function parseJson(value, flag) {
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        throw new Error(`${flag} must be valid JSON: ${error.message}`);
+    }
+}
+
+function readSummary(summaryPath) {
+    if (!summaryPath) {
+        throw new Error('Missing path to the k6 summary JSON');
+    }
+    return parseJson(fs.readFileSync(summaryPath, 'utf8'), summaryPath);
+}
+
+module.exports = { main };
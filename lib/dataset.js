@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+
+const DATA_STRATEGIES = ['sequential', 'random', 'unique-per-vu', 'stop-when-exhausted'];
+
+/**
+ * Normalizes the `data` option. A plain string is treated as the dataset path.
+ * @param {string|Object} data - Dataset configuration.
+ * @returns {{ path: string, strategy: string }} - Normalized configuration.
+ */
+function normalizeDataConfig(data) {
+    const config = typeof data === 'string' ? { path: data } : { ...data };
+    config.strategy = config.strategy || 'sequential';
+
+    if (!config.path) {
+        throw new Error('Missing dataset path in `data` configuration');
+    }
+    if (!DATA_STRATEGIES.includes(config.strategy)) {
+        throw new Error(`Unknown data strategy "${config.strategy}". Use one of: ${DATA_STRATEGIES.join(', ')}`);
+    }
+    return config;
+}
+
+/**
+ * Loads a CSV or JSON dataset into an array of row objects.
+ * CSV files must have a header row; JSON files must contain an array of objects.
+ * @param {Object} config - Normalized dataset configuration.
+ * @returns {Array<Object>} - Dataset rows.
+ */
+function loadDataset(config) {
+    const content = fs.readFileSync(config.path, 'utf8');
+    const format = config.format || path.extname(config.path).slice(1).toLowerCase();
+
+    let rows;
+    if (format === 'csv') {
+        rows = parseCsv(content);
+    } else if (format === 'json') {
+        rows = JSON.parse(content);
+        if (!Array.isArray(rows)) {
+            throw new Error(`Dataset ${config.path} must contain a JSON array`);
+        }
+    } else {
+        throw new Error(`Unsupported dataset format "${format}". Use a .csv or .json file`);
+    }
+
+    if (rows.length === 0) {
+        throw new Error(`Dataset ${config.path} is empty`);
+    }
+    return rows;
+}
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, escaped quotes, embedded newlines) into row objects keyed by header.
+ * @param {string} content - CSV text.
+ * @returns {Array<Object>} - Parsed rows.
+ */
+function parseCsv(content) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    const text = content.replace(/^\uFEFF/, '');
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const [header = [], ...body] = records.filter(row => row.some(value => value !== ''));
+    return body.map(row => Object.fromEntries(header.map((column, index) => [column.trim(), row[index] ?? ''])));
+}
+
+/**
+ * Generates the k6 expression that picks the current iteration's row from the shared `data` array.
+ * @param {string} strategy - Row selection strategy.
+ * @returns {string} - k6 code that assigns `row`.
+ */
+function generateRowSelectionCode(strategy) {
+    switch (strategy) {
+        case 'random':
+            return 'const row = data[Math.floor(Math.random() * data.length)];';
+        case 'unique-per-vu':
+            return 'const row = data[(exec.vu.idInTest - 1) % data.length];';
+        case 'stop-when-exhausted':
+            return `if (exec.scenario.iterationInTest >= data.length) {
+                exec.test.abort('Dataset exhausted');
+            }
+            const row = data[exec.scenario.iterationInTest];`;
+        default:
+            return 'const row = data[exec.scenario.iterationInTest % data.length];';
+    }
+}
+
+module.exports = { normalizeDataConfig, loadDataset, generateRowSelectionCode };
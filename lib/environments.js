@@ -0,0 +1,169 @@
+/**
+ * Named environment profiles (dev, staging, perf, ...) chosen at run time. The selected environment supplies the
+ * base URL for relative request URLs, default headers, credential references and safety caps on the load.
+ */
+
+const { parseDuration } = require('./timeseries');
+const { ARRIVAL_RATE_EXECUTORS } = require('./profiles');
+
+const ENV_VAR_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const ABSOLUTE_URL = /^[a-z][a-z0-9+.-]*:\/\//i;
+
+/**
+ * Picks and checks the selected environment.
+ * @param {Object} environments - Environments by name: `{ baseUrl, headers, credentials, maxVus, maxRps, description }`.
+ *   `credentials` maps placeholder names to the environment variables holding the secrets, e.g. `{ token: 'STAGING_TOKEN' }`.
+ * @param {string} name - Name of the environment to use.
+ * @returns {Object} - `{ name, baseUrl, headers, credentials, maxVus, maxRps, description }`.
+ */
+function selectEnvironment(environments, name) {
+    if (!environments || typeof environments !== 'object' || Array.isArray(environments)) {
+        throw new Error(`Environment "${name}" is selected but \`environments\` does not define any`);
+    }
+    if (!name) {
+        throw new Error(`Select an environment with \`environment\` or --env (one of: ${Object.keys(environments).join(', ')})`);
+    }
+    const config = environments[name];
+    if (!config || typeof config !== 'object') {
+        throw new Error(`Unknown environment "${name}" (use one of: ${Object.keys(environments).join(', ')})`);
+    }
+
+    if (config.baseUrl !== undefined && !(typeof config.baseUrl === 'string' && ABSOLUTE_URL.test(config.baseUrl))) {
+        throw new Error(`Environment "${name}": \`baseUrl\` must be an absolute URL such as https://staging.example.com`);
+    }
+    ['headers', 'credentials'].forEach(key => {
+        if (config[key] !== undefined && (typeof config[key] !== 'object' || config[key] === null || Array.isArray(config[key]))) {
+            throw new Error(`Environment "${name}": \`${key}\` must be an object`);
+        }
+    });
+    Object.entries(config.credentials || {}).forEach(([placeholder, variable]) => {
+        if (typeof variable !== 'string' || !ENV_VAR_NAME.test(variable)) {
+            throw new Error(`Environment "${name}": credential "${placeholder}" must name an environment variable`);
+        }
+    });
+    ['maxVus', 'maxRps'].forEach(key => {
+        if (config[key] !== undefined && !(Number(config[key]) > 0)) {
+            throw new Error(`Environment "${name}": \`${key}\` must be a positive number`);
+        }
+    });
+
+    return {
+        name,
+        baseUrl: config.baseUrl ? config.baseUrl.replace(/\/+$/, '') : null,
+        headers: config.headers || {},
+        credentials: config.credentials || {},
+        maxVus: config.maxVus !== undefined ? Number(config.maxVus) : null,
+        maxRps: config.maxRps !== undefined ? Number(config.maxRps) : null,
+        description: config.description || null
+    };
+}
+
+/**
+ * Resolves relative request URLs (and OAuth2 token URLs) against the environment's base URL and adds its
+ * default headers under each request's own headers. gRPC targets are left as they are.
+ * @param {Object} params - `runPerformanceTest` parameters.
+ * @param {Object} environment - Environment from `selectEnvironment`.
+ * @returns {Object} - Parameters with the environment applied.
+ */
+function applyEnvironment(params, environment) {
+    const applyToRequest = request => {
+        if (!request || request.type === 'grpc') {
+            return request;
+        }
+        return {
+            ...request,
+            url: resolveUrl(request.url, environment),
+            ...(Object.keys(environment.headers).length ? { headers: { ...environment.headers, ...request.headers } } : {}),
+            ...(request.auth?.tokenUrl ? { auth: { ...request.auth, tokenUrl: resolveUrl(request.auth.tokenUrl, environment) } } : {})
+        };
+    };
+    return params.steps
+        ? { ...params, steps: params.steps.map(step => ({ ...step, request: applyToRequest(step.request) })) }
+        : { ...params, request: applyToRequest(params.request) };
+}
+
+/**
+ * Checks that every environment variable referenced by `credentials` is set. The values themselves are read by
+ * k6 from its environment (`__ENV`), so they are never written into the generated script.
+ * @param {Object} environment - Environment from `selectEnvironment`.
+ * @param {Object} [env=process.env] - Environment variables.
+ */
+function checkCredentials(environment, env = process.env) {
+    const missing = Object.values(environment.credentials).filter(variable => env[variable] === undefined || env[variable] === '');
+    if (missing.length > 0) {
+        throw new Error(`Environment "${environment.name}" needs these environment variables: ${[...new Set(missing)].join(', ')}`);
+    }
+}
+
+/**
+ * Enforces the environment's safety caps. A load shape that would exceed `maxVus`, or an arrival rate that would
+ * exceed `maxRps`, is rejected before k6 starts; `maxRps` is also passed to k6 as its `rps` limit so closed-model
+ * tests are throttled too.
+ * @param {Object} options - k6 options after the load profile is applied.
+ * @param {Object} environment - Environment from `selectEnvironment`.
+ * @param {number} [requestsPerIteration=1] - Requests one iteration sends, to turn iteration rates into request rates.
+ * @returns {Object} - k6 options.
+ */
+function enforceSafetyCaps(options = {}, environment, requestsPerIteration = 1) {
+    if (environment.maxVus !== null) {
+        const vus = peakVus(options);
+        if (vus > environment.maxVus) {
+            throw new Error(`The test uses up to ${vus} VUs, above the ${environment.maxVus} allowed in environment "${environment.name}"`);
+        }
+    }
+    if (environment.maxRps === null) {
+        return options;
+    }
+    const rps = peakIterationRate(options) * requestsPerIteration;
+    if (rps > environment.maxRps) {
+        throw new Error(`The test sends up to ${rps} requests/s, above the ${environment.maxRps} allowed in environment "${environment.name}"`);
+    }
+    return { ...options, rps: Math.min(options.rps ?? Infinity, environment.maxRps) };
+}
+
+/**
+ * Generates the script line that reads the credentials from k6's environment.
+ * @param {Object|null} environment - Environment from `selectEnvironment`.
+ * @returns {string} - k6 code, empty when the environment has no credentials.
+ */
+function generateCredentialsCode(environment) {
+    const entries = Object.entries(environment?.credentials || {});
+    if (entries.length === 0) {
+        return '';
+    }
+    return `// Credentials of the ${JSON.stringify(environment.name)} environment, read from environment variables
+        const credentials = { ${entries.map(([placeholder, variable]) => `${JSON.stringify(placeholder)}: __ENV[${JSON.stringify(variable)}]`).join(', ')} };`;
+}
+
+// URLs with a scheme and URLs built from a {{placeholder}} are kept as they are
+function resolveUrl(url, environment) {
+    if (!environment.baseUrl || typeof url !== 'string' || ABSOLUTE_URL.test(url) || url.startsWith('{{')) {
+        return url;
+    }
+    return `${environment.baseUrl}/${url.replace(/^\/+/, '')}`;
+}
+
+// Scenarios start together unless delayed, so their VUs add up
+function peakVus(options) {
+    const scenarios = Object.values(options.scenarios || {});
+    if (scenarios.length === 0) {
+        return Math.max(options.vus ?? 1, ...(options.stages || []).map(stage => stage.target));
+    }
+    return scenarios.reduce((sum, scenario) => {
+        if (ARRIVAL_RATE_EXECUTORS.includes(scenario.executor)) {
+            return sum + (scenario.maxVUs ?? scenario.preAllocatedVUs ?? 0);
+        }
+        return sum + Math.max(scenario.vus ?? 1, scenario.startVUs ?? 0, ...(scenario.stages || []).map(stage => stage.target));
+    }, 0);
+}
+
+function peakIterationRate(options) {
+    return Object.values(options.scenarios || {})
+        .filter(scenario => ARRIVAL_RATE_EXECUTORS.includes(scenario.executor))
+        .reduce((sum, scenario) => {
+            const rate = Math.max(scenario.rate ?? 0, scenario.startRate ?? 0, ...(scenario.stages || []).map(stage => stage.target));
+            return sum + rate / parseDuration(scenario.timeUnit || '1s');
+        }, 0);
+}
+
+module.exports = { selectEnvironment, applyEnvironment, checkCredentials, enforceSafetyCaps, generateCredentialsCode };
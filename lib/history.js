@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const { inlineChartJsScript } = require('./charts');
+const { escapeHtml, safeJson } = require('./html');
+
+/**
+ * Normalizes the `history` option. A plain string is treated as the history directory.
+ * @param {string|Object} history - History configuration.
+ * @returns {{ dir: string, label: string|null, name: string|null }} - Normalized configuration.
+ */
+function normalizeHistoryConfig(history) {
+    const config = typeof history === 'string' ? { dir: history } : { ...history };
+    if (!config.dir) {
+        throw new Error('`history.dir` is required');
+    }
+    return { dir: config.dir, label: config.label != null ? String(config.label) : null, name: config.name || null };
+}
+
+/**
+ * Records a run in the history directory, as `<dir>/<test>/<timestamp>[-<label>].json`.
+ * @param {Object} config - Configuration from `normalizeHistoryConfig`.
+ * @param {Object} results - Results document from `buildResults` (test config, KPIs, verdict).
+ * @param {Object} summary - k6 summary of the run.
+ * @returns {string} - Path of the recorded entry.
+ */
+function recordRun(config, results, summary) {
+    const test = config.name || results.test.name;
+    const entry = { recordedAt: results.generatedAt, label: config.label, test, results, summary };
+
+    const dir = path.join(config.dir, slug(test));
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${results.generatedAt.replace(/[:.]/g, '-')}${config.label ? `-${slug(config.label)}` : ''}.json`);
+    fs.writeFileSync(file, JSON.stringify(entry, null, 2));
+    return file;
+}
+
+/**
+ * Loads the recorded runs of a history directory, grouped by test and ordered by time.
+ * @param {string} dir - History directory.
+ * @param {Object} [options]
+ * @param {string} [options.test] - Only this test.
+ * @param {number} [options.last] - Only the most recent runs of each test.
+ * @returns {Array<{ test: string, runs: Array<Object> }>} - Tests in name order.
+ */
+function loadHistory(dir, { test, last } = {}) {
+    if (!fs.existsSync(dir)) {
+        throw new Error(`History directory not found: ${dir}`);
+    }
+    const byTest = new Map();
+    fs.readdirSync(dir, { withFileTypes: true }).filter(entry => entry.isDirectory()).forEach(testDir => {
+        fs.readdirSync(path.join(dir, testDir.name)).filter(file => file.endsWith('.json')).forEach(file => {
+            const filePath = path.join(dir, testDir.name, file);
+            let run;
+            try {
+                run = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            } catch (error) {
+                console.warn(`Skipping unreadable history entry ${filePath}: ${error.message}`);
+                return;
+            }
+            if (!run?.test || !run.recordedAt || (test && run.test !== test)) {
+                return;
+            }
+            if (!byTest.has(run.test)) {
+                byTest.set(run.test, []);
+            }
+            byTest.get(run.test).push(run);
+        });
+    });
+
+    return [...byTest.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, runs]) => {
+            runs.sort((a, b) => a.recordedAt.localeCompare(b.recordedAt));
+            return { test: name, runs: last ? runs.slice(-last) : runs };
+        });
+}
+
+/**
+ * Generates a self-contained HTML dashboard with p95 latency, throughput and error rate across runs, per test.
+ * @param {Array<Object>} history - Tests from `loadHistory`.
+ * @param {string} outputPath - Path to save the dashboard.
+ */
+function generateTrendDashboard(history, outputPath) {
+    const tests = history.map((entry, index) => {
+        const points = entry.runs.map(run => ({
+            label: run.label || run.recordedAt.slice(0, 16).replace('T', ' '),
+            recordedAt: run.recordedAt,
+            p95: run.results?.kpis?.latency?.p95 ?? null,
+            rps: run.results?.kpis?.rps ?? null,
+            errorRate: typeof run.results?.kpis?.errorRate === 'number' ? run.results.kpis.errorRate * 100 : null,
+            passed: run.results?.status?.passed ?? null
+        }));
+        return { id: `test${index}`, name: entry.test, points };
+    });
+
+    const sections = tests.map(test => `
+    <section class="test">
+        <h2>${escapeHtml(test.name)} <span>${test.points.length} run(s)</span></h2>
+        <div class="charts">
+            <div class="chart-container"><canvas id="${test.id}-p95"></canvas></div>
+            <div class="chart-container"><canvas id="${test.id}-rps"></canvas></div>
+            <div class="chart-container"><canvas id="${test.id}-errors"></canvas></div>
+        </div>
+        <table>
+            <tr><th>Recorded</th><th>Label</th><th>p95 Latency</th><th>Throughput</th><th>Error Rate</th><th>Result</th></tr>
+            ${test.points.slice().reverse().map(point => `
+            <tr>
+                <td>${escapeHtml(point.recordedAt.replace('T', ' ').slice(0, 19))}</td>
+                <td>${escapeHtml(point.label)}</td>
+                <td>${point.p95 !== null ? `${point.p95.toFixed(2)} ms` : '-'}</td>
+                <td>${point.rps !== null ? `${point.rps.toFixed(2)} req/s` : '-'}</td>
+                <td>${point.errorRate !== null ? `${point.errorRate.toFixed(2)}%` : '-'}</td>
+                <td>${point.passed === null ? '-' : point.passed ? '✅ Passed' : '❌ Failed'}</td>
+            </tr>`).join('')}
+        </table>
+    </section>`).join('');
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Performance Trends</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 0; padding: 20px; background-color: #f4f4f9; color: #333; }
+        h1 { text-align: center; color: #2c3e50; }
+        .test { max-width: 1200px; margin: 20px auto; background: #fff; border-radius: 8px; padding: 20px; box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1); }
+        .test h2 { margin-top: 0; color: #2c3e50; }
+        .test h2 span { font-size: 0.6em; color: #7f8c8d; font-weight: normal; }
+        .charts { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 20px; }
+        .chart-container { position: relative; height: 260px; }
+        table { width: 100%; border-collapse: collapse; margin-top: 20px; }
+        th, td { padding: 8px; border-bottom: 1px solid #ddd; text-align: left; }
+        th { background: #2c3e50; color: #fff; }
+    </style>
+    ${inlineChartJsScript()}
+</head>
+<body>
+    <h1>Performance Trends</h1>
+    ${sections || '<p style="text-align: center">No runs recorded yet.</p>'}
+    <script>
+        const tests = ${safeJson(tests)};
+        const lineChart = (id, label, points, field, color) => new Chart(document.getElementById(id).getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: points.map(point => point.label),
+                datasets: [{ label, data: points.map(point => point[field]), borderColor: color, backgroundColor: color, spanGaps: true, tension: 0.2 }]
+            },
+            options: { maintainAspectRatio: false, scales: { y: { beginAtZero: true } } }
+        });
+        tests.forEach(test => {
+            lineChart(test.id + '-p95', 'p95 Latency (ms)', test.points, 'p95', 'rgba(231, 76, 60, 1)');
+            lineChart(test.id + '-rps', 'Throughput (req/s)', test.points, 'rps', 'rgba(52, 152, 219, 1)');
+            lineChart(test.id + '-errors', 'Error Rate (%)', test.points, 'errorRate', 'rgba(243, 156, 18, 1)');
+        });
+    </script>
+</body>
+</html>`;
+
+    fs.mkdirSync(path.dirname(path.resolve(outputPath)), { recursive: true });
+    fs.writeFileSync(outputPath, html);
+}
+
+function slug(value) {
+    return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80) || 'test';
+}
+
+module.exports = { normalizeHistoryConfig, recordRun, loadHistory, generateTrendDashboard };
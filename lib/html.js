@@ -0,0 +1,126 @@
+/**
+ * HTML output helpers shared by the report, the findings table and the trend dashboard. Everything that
+ * ends up in a page is either escaped text, JSON made safe for a <script> block, or sanitized markup.
+ */
+
+// Elements kept by `sanitizeHtml`, with the attributes each may keep (numeric values only)
+const ALLOWED_TAGS = {
+    table: ['border'],
+    caption: [],
+    thead: [],
+    tbody: [],
+    tfoot: [],
+    tr: [],
+    th: ['colspan', 'rowspan'],
+    td: ['colspan', 'rowspan'],
+    p: [],
+    br: [],
+    ul: [],
+    ol: [],
+    li: [],
+    strong: [],
+    b: [],
+    em: [],
+    i: [],
+    code: [],
+    pre: []
+};
+const VOID_TAGS = ['br'];
+
+// Elements removed together with everything inside them
+const DROPPED_WITH_CONTENT = ['script', 'style', 'iframe', 'frame', 'object', 'embed', 'template', 'noscript',
+    'noembed', 'textarea', 'title', 'svg', 'math', 'select', 'xmp'];
+
+const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?(?:\]\]>|$)|<[!?][^>]*>?|<\/?([a-zA-Z][a-zA-Z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|<|[^<]+/g;
+const ATTRIBUTE_PATTERN = /([^\s=/>"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+const ENTITY_PATTERN = /&(?!(?:[a-zA-Z][a-zA-Z0-9]*|#\d+|#x[0-9a-fA-F]+);)/g;
+
+/**
+ * Escapes a value for use in HTML text and double- or single-quoted attributes.
+ * @param {*} value - Value to escape; `null` and `undefined` become an empty string.
+ * @returns {string} - Escaped text.
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Serializes a value as JSON that can be embedded in a <script> block: `</script>`, `<!--`, `&` and
+ * the JavaScript line separators are escaped so string content cannot end the block or break the code.
+ * @param {*} value - JSON-serializable value.
+ * @returns {string} - JavaScript expression.
+ */
+function safeJson(value) {
+    return JSON.stringify(value ?? null)
+        .replace(/</g, '\\u003c')
+        .replace(/>/g, '\\u003e')
+        .replace(/&/g, '\\u0026')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * Reduces untrusted markup, such as AI output, to a small allow-list of table and text elements.
+ * Scripts, styles, embedded documents, comments, event handlers, links and every other attribute are removed;
+ * unknown elements are dropped but their text is kept, escaped. Open elements are closed at the end.
+ * @param {string} html - Untrusted HTML.
+ * @returns {string} - Sanitized HTML.
+ */
+function sanitizeHtml(html) {
+    const open = [];
+    let dropping = null;
+    let output = '';
+
+    for (const [token, tagName, attributes = ''] of String(html ?? '').matchAll(TOKEN_PATTERN)) {
+        const name = tagName?.toLowerCase();
+        const closing = token.startsWith('</');
+
+        if (dropping) {
+            if (closing && name === dropping) {
+                dropping = null;
+            }
+            continue;
+        }
+        if (!name) {
+            // Comments, doctypes and processing instructions are dropped; text and stray '<' are escaped
+            if (!token.startsWith('<') || token === '<') {
+                output += token.replace(ENTITY_PATTERN, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+            }
+            continue;
+        }
+        if (DROPPED_WITH_CONTENT.includes(name)) {
+            if (!closing && !/\/\s*$/.test(attributes)) {
+                dropping = name;
+            }
+            continue;
+        }
+        if (!ALLOWED_TAGS[name]) {
+            continue;
+        }
+
+        if (closing) {
+            const index = open.lastIndexOf(name);
+            if (index !== -1) {
+                output += open.splice(index).reverse().map(tag => `</${tag}>`).join('');
+            }
+            continue;
+        }
+        const kept = [...attributes.matchAll(ATTRIBUTE_PATTERN)]
+            .map(([, attribute, double, single, bare]) => [attribute.toLowerCase(), double ?? single ?? bare ?? ''])
+            .filter(([attribute, value]) => ALLOWED_TAGS[name].includes(attribute) && /^\d{1,3}$/.test(value.trim()))
+            .map(([attribute, value]) => ` ${attribute}="${value.trim()}"`)
+            .join('');
+        output += `<${name}${kept}>`;
+        if (!VOID_TAGS.includes(name)) {
+            open.push(name);
+        }
+    }
+    return output + open.reverse().map(tag => `</${tag}>`).join('');
+}
+
+module.exports = { escapeHtml, safeJson, sanitizeHtml };
@@ -0,0 +1,72 @@
+// Recorded browser traffic that is usually served by a CDN rather than the system under test
+const STATIC_EXTENSIONS = /\.(css|js|mjs|map|png|jpe?g|gif|svg|ico|webp|avif|woff2?|ttf|eot|otf|mp4|webm|mp3)(\?|$)/i;
+const STATIC_MIME_TYPES = /^(image|font|audio|video)\/|^text\/css|javascript/i;
+
+// Headers the browser or k6 sets itself
+const SKIPPED_HEADERS = new Set(['host', 'content-length', 'connection', 'accept-encoding', 'cookie', 'te', 'upgrade-insecure-requests']);
+
+/**
+ * Turns a HAR recording into a user journey. Requests are kept in recorded order and the pause between
+ * the end of one response and the start of the next request becomes the step's think time.
+ * @param {Object} har - Parsed HAR file.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeStatic=false] - Keep images, stylesheets, scripts and fonts.
+ * @returns {Array<Object>} - Steps named `METHOD /path`.
+ */
+function fromHar(har, { includeStatic = false } = {}) {
+    const entries = [...(har.log?.entries || [])]
+        .filter(entry => includeStatic || !isStatic(entry))
+        .sort((a, b) => Date.parse(a.startedDateTime) - Date.parse(b.startedDateTime));
+
+    return entries.map((entry, index) => {
+        const next = entries[index + 1];
+        const finishedAt = Date.parse(entry.startedDateTime) + (entry.time || 0);
+        const pause = next ? Math.max(0, (Date.parse(next.startedDateTime) - finishedAt) / 1000) : null;
+        const url = new URL(entry.request.url);
+
+        return {
+            name: `${entry.request.method} ${url.pathname}`,
+            request: toRequest(entry.request),
+            ...(pause !== null ? { thinkTime: Math.round(pause * 100) / 100 } : {})
+        };
+    });
+}
+
+function isStatic(entry) {
+    return STATIC_EXTENSIONS.test(new URL(entry.request.url).pathname)
+        || STATIC_MIME_TYPES.test(entry.response?.content?.mimeType || '');
+}
+
+function toRequest(source) {
+    const request = { method: source.method.toUpperCase(), url: source.url };
+
+    const headers = Object.fromEntries((source.headers || [])
+        .filter(header => !header.name.startsWith(':') && !SKIPPED_HEADERS.has(header.name.toLowerCase()))
+        .map(header => [header.name, header.value]));
+
+    const postData = source.postData;
+    if (postData && (postData.text || postData.params?.length)) {
+        const mimeType = postData.mimeType || '';
+        if (/json/i.test(mimeType)) {
+            try {
+                request.body = JSON.parse(postData.text);
+            } catch (error) {
+                request.json = postData.text;
+            }
+        } else if (/x-www-form-urlencoded/i.test(mimeType)) {
+            request.formData = postData.params?.length
+                ? Object.fromEntries(postData.params.map(param => [param.name, param.value ?? '']))
+                : Object.fromEntries(new URLSearchParams(postData.text));
+        } else {
+            request.json = postData.text;
+        }
+        if (mimeType && !Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+            headers['Content-Type'] = mimeType;
+        }
+    }
+
+    if (Object.keys(headers).length) request.headers = headers;
+    return request;
+}
+
+module.exports = { fromHar };
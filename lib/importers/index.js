@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { fromOpenApi } = require('./openapi');
+const { fromPostman } = require('./postman');
+const { fromHar } = require('./har');
+
+const IMPORT_FORMATS = ['openapi', 'postman', 'har'];
+
+/**
+ * Builds a test plan for `runPerformanceTest` from an OpenAPI 3 document, a Postman v2.1 collection or a HAR recording.
+ * @param {string} sourcePath - Local `.json`, `.yaml`/`.yml` or `.har` file.
+ * @param {Object} [options]
+ * @param {string} [options.format] - openapi|postman|har; detected from the content when omitted.
+ * @param {string[]} [options.include] - Keep only matching operations. Patterns match the step name, `METHOD /path`
+ *   or a tag/folder, case-insensitively, and may use `*` as a wildcard.
+ * @param {string[]} [options.exclude] - Drop matching operations (same patterns as `include`).
+ * @param {Object} [options.weights] - Relative weight per pattern, e.g. `{ 'GET *': 8, createOrder: 2 }`.
+ *   Weights switch the plan to `flow: 'weighted'`, where every iteration runs one step picked by weight.
+ * @param {string} [options.baseUrl] - Base URL for OpenAPI paths, instead of the first `servers` entry.
+ * @param {boolean} [options.includeStatic=false] - Keep static assets when importing a HAR file.
+ * @returns {Object} - Test plan with `steps`, `options`, `thinkTime` and, with weights, `flow`.
+ */
+function importTestPlan(sourcePath, { format, include, exclude, weights, baseUrl, includeStatic = false } = {}) {
+    const document = parseSource(sourcePath);
+    const detected = format || detectFormat(document, sourcePath);
+    if (!IMPORT_FORMATS.includes(detected)) {
+        throw new Error(`Unknown import format "${detected}" (use one of: ${IMPORT_FORMATS.join(', ')})`);
+    }
+
+    let steps;
+    switch (detected) {
+        case 'openapi':
+            steps = fromOpenApi(document, { baseUrl });
+            break;
+        case 'postman':
+            steps = fromPostman(document);
+            break;
+        case 'har':
+            steps = fromHar(document, { includeStatic });
+            break;
+    }
+
+    steps = steps.filter(step => (!include?.length || include.some(pattern => matches(step, pattern)))
+        && !(exclude || []).some(pattern => matches(step, pattern)));
+    if (steps.length === 0) {
+        throw new Error(`No operations left to import from ${sourcePath}`);
+    }
+
+    const weighted = weights && Object.keys(weights).length > 0;
+    const names = new Set();
+    steps = steps.map(({ tags, ...step }) => {
+        const weight = weighted ? Object.entries(weights).find(([pattern]) => matches({ ...step, tags }, pattern))?.[1] : undefined;
+        return { ...step, name: uniqueName(step.name, names), ...(weight !== undefined ? { weight: Number(weight) } : {}) };
+    });
+
+    return {
+        steps,
+        options: { vus: 1, duration: '1m' },
+        // Recorded journeys pause per step instead
+        thinkTime: detected === 'har' ? 0 : 1,
+        ...(weighted ? { flow: 'weighted' } : {})
+    };
+}
+
+function parseSource(sourcePath) {
+    const content = fs.readFileSync(sourcePath, 'utf8');
+    try {
+        return /\.ya?ml$/i.test(sourcePath) ? YAML.parse(content) : JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Could not parse ${sourcePath}: ${error.message}`);
+    }
+}
+
+function detectFormat(document, sourcePath) {
+    if (document?.log?.entries) return 'har';
+    if (document?.openapi) return 'openapi';
+    if (document?.info?.schema?.includes('getpostman.com') || Array.isArray(document?.item)) return 'postman';
+    throw new Error(`Could not detect the format of ${path.basename(sourcePath)}; pass it explicitly (${IMPORT_FORMATS.join(', ')})`);
+}
+
+function matches(step, pattern) {
+    const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i');
+    const urlPath = step.request.url.replace(/^[a-z]+:\/\/[^/]+/i, '').split('?')[0] || '/';
+    return [step.name, `${step.request.method || 'GET'} ${urlPath}`, ...(step.tags || [])].some(candidate => regex.test(candidate));
+}
+
+// Step names become k6 tag values in threshold keys, so `{id}` path parameters become `id` and the other
+// characters k6 reserves there (`,` `:` `{` `}`) become spaces
+function uniqueName(name, names) {
+    const base = name.replace(/\{([^}]*)\}/g, '$1').replace(/[,:{}]+/g, ' ').replace(/\s+/g, ' ').trim() || 'request';
+    let unique = base;
+    for (let count = 2; names.has(unique); count++) {
+        unique = `${base} #${count}`;
+    }
+    names.add(unique);
+    return unique;
+}
+
+/**
+ * Serializes an imported plan as YAML, ready for `runPerformanceTest(path)` or `performancenilgiri run --plan`.
+ * @param {Object} plan - Plan from `importTestPlan`.
+ * @returns {string} - YAML document.
+ */
+function toPlanYaml(plan) {
+    return YAML.stringify(plan, { lineWidth: 0 });
+}
+
+module.exports = { IMPORT_FORMATS, importTestPlan, toPlanYaml };
@@ -0,0 +1,184 @@
+const METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Turns the operations of an OpenAPI 3 document into test steps.
+ * Path, query and header parameters use their example or default value, or a `{{name}}` placeholder
+ * that a dataset column can fill. JSON and form bodies come from the example or are generated from the schema.
+ * Credentials from `securitySchemes` become `${VAR}` references that are read from the environment when the
+ * plan is loaded.
+ * @param {Object} document - Parsed OpenAPI 3 document.
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Overrides the first entry of `servers`.
+ * @returns {Array<Object>} - Steps named after the `operationId`, or `METHOD /path`.
+ */
+function fromOpenApi(document, { baseUrl } = {}) {
+    if (!/^3\./.test(String(document.openapi || ''))) {
+        throw new Error('Only OpenAPI 3 documents are supported');
+    }
+    const resolve = value => resolveRefs(document, value);
+    const base = (baseUrl || serverUrl(document.servers?.[0]) || '').replace(/\/$/, '');
+    if (!/^https?:\/\//i.test(base)) {
+        throw new Error('The OpenAPI document has no absolute server URL; pass a base URL');
+    }
+
+    const steps = [];
+    Object.entries(document.paths || {}).forEach(([route, pathItem]) => {
+        METHODS.filter(method => pathItem[method]).forEach(method => {
+            const operation = resolve(pathItem[method]);
+            const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])].map(resolve);
+
+            let url = `${base}${route}`;
+            const params = {};
+            const headers = {};
+            parameters.forEach(parameter => {
+                const value = parameterValue(parameter);
+                if (parameter.in === 'path') {
+                    url = url.replace(`{${parameter.name}}`, value === undefined ? `{{${parameter.name}}}` : encodeURIComponent(value));
+                } else if (parameter.in === 'query' && (parameter.required || value !== undefined)) {
+                    params[parameter.name] = value ?? `{{${parameter.name}}}`;
+                } else if (parameter.in === 'header' && (parameter.required || value !== undefined)) {
+                    headers[parameter.name] = String(value ?? `{{${parameter.name}}}`);
+                }
+            });
+
+            const request = { method: method.toUpperCase(), url };
+            if (Object.keys(params).length) request.params = params;
+            if (Object.keys(headers).length) request.headers = headers;
+            Object.assign(request, requestBody(resolve(operation.requestBody), resolve));
+
+            const auth = securityAuth(document, operation.security ?? document.security);
+            if (auth) request.auth = auth;
+
+            steps.push({
+                name: operation.operationId || `${method.toUpperCase()} ${route}`,
+                ...(operation.tags?.length ? { tags: operation.tags } : {}),
+                request
+            });
+        });
+    });
+    return steps;
+}
+
+function serverUrl(server) {
+    if (!server?.url) {
+        return null;
+    }
+    return server.url.replace(/\{([^}]+)\}/g, (match, name) => server.variables?.[name]?.default ?? match);
+}
+
+function parameterValue(parameter) {
+    if (parameter.example !== undefined) return parameter.example;
+    const example = Object.values(parameter.examples || {})[0];
+    if (example?.value !== undefined) return example.value;
+    if (parameter.schema?.example !== undefined) return parameter.schema.example;
+    if (parameter.schema?.default !== undefined) return parameter.schema.default;
+    if (parameter.schema?.enum) return parameter.schema.enum[0];
+    return undefined;
+}
+
+function requestBody(body, resolve) {
+    const content = body?.content || {};
+    const type = Object.keys(content).find(key => /json/i.test(key))
+        || Object.keys(content).find(key => key === 'application/x-www-form-urlencoded');
+    if (!type) {
+        return {};
+    }
+    const media = content[type];
+    const example = media.example ?? Object.values(media.examples || {}).map(resolve)[0]?.value ?? exampleFromSchema(resolve(media.schema), resolve);
+    if (type === 'application/x-www-form-urlencoded') {
+        return { formData: example || {} };
+    }
+    return {
+        body: example ?? {},
+        ...(type !== 'application/json' ? { headers: { 'Content-Type': type } } : {})
+    };
+}
+
+/**
+ * Builds an example value from a JSON schema.
+ * @param {Object} schema - Schema with `$ref`s already resolved at the top level.
+ * @param {Function} resolve - Resolves nested `$ref`s.
+ * @param {number} [depth=0] - Recursion depth, to stop on recursive schemas.
+ * @returns {*} - Example value.
+ */
+function exampleFromSchema(schema, resolve, depth = 0) {
+    if (!schema || depth > 8) return undefined;
+    schema = resolve(schema);
+    if (schema.example !== undefined) return schema.example;
+    if (schema.default !== undefined) return schema.default;
+    if (schema.enum) return schema.enum[0];
+    if (schema.allOf) {
+        return Object.assign({}, ...schema.allOf.map(part => exampleFromSchema(part, resolve, depth + 1)));
+    }
+    const variant = schema.oneOf?.[0] || schema.anyOf?.[0];
+    if (variant) return exampleFromSchema(variant, resolve, depth + 1);
+
+    switch (schema.type || (schema.properties ? 'object' : undefined)) {
+        case 'object':
+            return Object.fromEntries(Object.entries(schema.properties || {})
+                .map(([key, property]) => [key, exampleFromSchema(property, resolve, depth + 1)])
+                .filter(([, value]) => value !== undefined));
+        case 'array':
+            return [exampleFromSchema(schema.items, resolve, depth + 1)].filter(value => value !== undefined);
+        case 'integer':
+        case 'number':
+            return schema.minimum ?? 0;
+        case 'boolean':
+            return true;
+        case 'string':
+            return { 'date-time': '2024-01-01T00:00:00Z', date: '2024-01-01', email: 'user@example.com', uuid: '00000000-0000-0000-0000-000000000000' }[schema.format] || 'string';
+        default:
+            return undefined;
+    }
+}
+
+// Maps the first usable security requirement to an `auth` config with environment variable references
+function securityAuth(document, security) {
+    const schemes = document.components?.securitySchemes || {};
+    for (const requirement of security || []) {
+        for (const [name, scopes] of Object.entries(requirement)) {
+            const scheme = resolveRefs(document, schemes[name]);
+            const variable = name.replace(/[^A-Za-z0-9]+/g, '_').toUpperCase();
+            if (scheme?.type === 'http' && /^basic$/i.test(scheme.scheme)) {
+                return { type: 'basic', username: `\${${variable}_USERNAME}`, password: `\${${variable}_PASSWORD}` };
+            }
+            if (scheme?.type === 'http' && /^bearer$/i.test(scheme.scheme)) {
+                return { type: 'bearer', token: `\${${variable}_TOKEN}` };
+            }
+            if (scheme?.type === 'apiKey' && ['header', 'query'].includes(scheme.in)) {
+                return { type: 'apikey', in: scheme.in, name: scheme.name, value: `\${${variable}_KEY}` };
+            }
+            if (scheme?.type === 'oauth2') {
+                const flow = scheme.flows?.clientCredentials || scheme.flows?.password;
+                if (!flow) continue;
+                return {
+                    type: 'oauth2',
+                    grant: scheme.flows.clientCredentials ? 'client_credentials' : 'password',
+                    tokenUrl: flow.tokenUrl,
+                    clientId: `\${${variable}_CLIENT_ID}`,
+                    clientSecret: `\${${variable}_CLIENT_SECRET}`,
+                    ...(scheme.flows.clientCredentials ? {} : { username: `\${${variable}_USERNAME}`, password: `\${${variable}_PASSWORD}` }),
+                    ...(scopes.length ? { scope: scopes.join(' ') } : {})
+                };
+            }
+        }
+    }
+    return null;
+}
+
+// Follows a local `$ref` (`#/components/...`); other values are returned unchanged
+function resolveRefs(document, value, seen = new Set()) {
+    if (!value || typeof value !== 'object' || typeof value.$ref !== 'string') {
+        return value;
+    }
+    if (!value.$ref.startsWith('#/') || seen.has(value.$ref)) {
+        return {};
+    }
+    seen.add(value.$ref);
+    const target = value.$ref.slice(2).split('/')
+        .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((node, part) => node?.[part], document);
+    return resolveRefs(document, target, seen);
+}
+
+module.exports = { fromOpenApi };
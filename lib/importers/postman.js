@@ -0,0 +1,160 @@
+/**
+ * Turns the requests of a Postman v2.1 collection into test steps.
+ * Collection variables are substituted; unknown `{{variables}}` are kept so a dataset column or an
+ * extracted value can fill them. Auth is inherited from folders and the collection like in Postman.
+ * @param {Object} collection - Parsed Postman collection.
+ * @returns {Array<Object>} - Steps named after the folder path and request name.
+ */
+function fromPostman(collection) {
+    if (!/v2\.[01]/.test(collection.info?.schema || '')) {
+        throw new Error('Only Postman v2.0 and v2.1 collections are supported');
+    }
+    const variables = Object.fromEntries((collection.variable || [])
+        .filter(variable => variable.key && !variable.disabled)
+        .map(variable => [variable.key, String(variable.value ?? '')]));
+    const substitute = value => value.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, key) => variables[key] ?? match);
+
+    const steps = [];
+    const walk = (items, folders, inheritedAuth) => {
+        (items || []).forEach(item => {
+            const auth = item.request?.auth ?? item.auth ?? inheritedAuth;
+            if (Array.isArray(item.item)) {
+                walk(item.item, [...folders, item.name], item.auth ?? inheritedAuth);
+                return;
+            }
+            if (!item.request) {
+                return;
+            }
+            steps.push({
+                name: [...folders, item.name].join(' / '),
+                ...(folders.length ? { tags: folders } : {}),
+                request: toRequest(item.request, auth, substitute)
+            });
+        });
+    };
+    walk(collection.item, [], collection.auth);
+    return steps;
+}
+
+function toRequest(source, auth, substitute) {
+    // A request may be just its URL
+    if (typeof source === 'string') {
+        return { method: 'GET', url: substitute(source) };
+    }
+
+    const request = { method: (source.method || 'GET').toUpperCase(), url: substitute(requestUrl(source.url)) };
+
+    const headers = Object.fromEntries((source.header || [])
+        .filter(header => !header.disabled)
+        .map(header => [header.key, substitute(String(header.value ?? ''))]));
+    if (Object.keys(headers).length) request.headers = headers;
+
+    Object.assign(request, requestBody(source.body, headers, substitute));
+
+    const converted = toAuth(auth, substitute);
+    if (converted) request.auth = converted;
+    return request;
+}
+
+function requestUrl(url) {
+    if (typeof url === 'string' || !url) {
+        return url || '';
+    }
+    if (url.raw) {
+        return url.raw;
+    }
+    const host = Array.isArray(url.host) ? url.host.join('.') : url.host || '';
+    const pathname = Array.isArray(url.path) ? url.path.join('/') : url.path || '';
+    const query = (url.query || []).filter(param => !param.disabled).map(param => `${param.key}=${param.value ?? ''}`).join('&');
+    return `${url.protocol ? `${url.protocol}://` : ''}${host}${pathname ? `/${pathname}` : ''}${query ? `?${query}` : ''}`;
+}
+
+function requestBody(body, headers, substitute) {
+    if (!body || body.disabled) {
+        return {};
+    }
+    const fields = list => Object.fromEntries((list || [])
+        .filter(field => !field.disabled && field.type !== 'file')
+        .map(field => [field.key, substitute(String(field.value ?? ''))]));
+
+    switch (body.mode) {
+        case 'raw': {
+            const raw = substitute(body.raw || '');
+            const contentTypeHeader = Object.keys(headers).find(name => name.toLowerCase() === 'content-type');
+            const isJson = body.options?.raw?.language === 'json' || /json/i.test(headers[contentTypeHeader] || '');
+            if (isJson) {
+                try {
+                    return { body: JSON.parse(raw) };
+                } catch (error) {
+                    return { json: raw };
+                }
+            }
+            if (!raw) {
+                return {};
+            }
+            // Non-JSON text is sent as-is with the collection's content type
+            return contentTypeHeader ? { json: raw } : { json: raw, headers: { ...headers, 'Content-Type': 'text/plain' } };
+        }
+        case 'urlencoded':
+            return { formData: fields(body.urlencoded) };
+        case 'formdata':
+            return { formData: fields(body.formdata) };
+        case 'graphql':
+            return { type: 'graphql', query: body.graphql?.query, ...(body.graphql?.variables ? { variables: parseVariables(body.graphql.variables) } : {}) };
+        default:
+            return {};
+    }
+}
+
+function parseVariables(variables) {
+    if (typeof variables !== 'string') {
+        return variables;
+    }
+    try {
+        return JSON.parse(variables);
+    } catch (error) {
+        return undefined;
+    }
+}
+
+function toAuth(auth, substitute) {
+    if (!auth || auth.type === 'noauth') {
+        return null;
+    }
+    // v2.1 stores auth attributes as [{ key, value }]; v2.0 as an object
+    const attributes = Array.isArray(auth[auth.type])
+        ? Object.fromEntries(auth[auth.type].map(attribute => [attribute.key, attribute.value]))
+        : auth[auth.type] || {};
+    const value = key => (attributes[key] === undefined ? undefined : substitute(String(attributes[key])));
+    // Credentials left empty in the collection are read from the environment when the plan is loaded
+    const required = (key, variable) => value(key) || `\${POSTMAN_${variable}}`;
+
+    switch (auth.type) {
+        case 'basic':
+            return { type: 'basic', username: required('username', 'USERNAME'), password: required('password', 'PASSWORD') };
+        case 'bearer':
+            return { type: 'bearer', token: required('token', 'TOKEN') };
+        case 'apikey':
+            return { type: 'apikey', name: value('key'), value: required('value', 'API_KEY'), in: value('in') === 'query' ? 'query' : 'header' };
+        case 'oauth2': {
+            const grant = value('grant_type');
+            if (!['client_credentials', 'password_credentials'].includes(grant)) {
+                return null;
+            }
+            return {
+                type: 'oauth2',
+                grant: grant === 'client_credentials' ? 'client_credentials' : 'password',
+                tokenUrl: value('accessTokenUrl'),
+                clientId: required('clientId', 'CLIENT_ID'),
+                ...(value('clientSecret') ? { clientSecret: value('clientSecret') } : {}),
+                ...(grant === 'password_credentials' ? { username: required('username', 'USERNAME'), password: required('password', 'PASSWORD') } : {}),
+                ...(value('scope') ? { scope: value('scope') } : {}),
+                ...(value('client_authentication') === 'header' ? { clientAuth: 'basic' } : {})
+            };
+        }
+        default:
+            return null;
+    }
+}
+
+module.exports = { fromPostman };
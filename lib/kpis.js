@@ -0,0 +1,160 @@
+// Response time (ms) up to which a user is satisfied, when no `apdexT` is given
+const DEFAULT_APDEX_T = 500;
+
+/**
+ * Service-level objectives that can be declared in `slos`. Latency targets are upper bounds in ms,
+ * `errorRate` an upper bound as a share (0.01 = 1%), the others lower bounds.
+ */
+const SLO_DEFINITIONS = {
+    avg: { label: 'Avg Response Time', unit: 'ms', value: kpis => kpis.latency.avg, higherIsBetter: false },
+    med: { label: 'Median Response Time', unit: 'ms', value: kpis => kpis.latency.med, higherIsBetter: false },
+    p90: { label: 'p90 Response Time', unit: 'ms', value: kpis => kpis.latency.p90, higherIsBetter: false },
+    p95: { label: 'p95 Response Time', unit: 'ms', value: kpis => kpis.latency.p95, higherIsBetter: false },
+    max: { label: 'Max Response Time', unit: 'ms', value: kpis => kpis.latency.max, higherIsBetter: false },
+    errorRate: { label: 'Error Rate', unit: '%', value: kpis => kpis.errorRate, higherIsBetter: false },
+    rps: { label: 'Throughput', unit: 'req/s', value: kpis => kpis.rps, higherIsBetter: true },
+    apdex: { label: 'Apdex', unit: '', value: kpis => kpis.apdex?.score, higherIsBetter: true },
+    checksPassRate: { label: 'Checks Passed', unit: '%', value: kpis => kpis.checksPassRate, higherIsBetter: true }
+};
+
+const GRADES = [[90, 'A'], [80, 'B'], [70, 'C'], [60, 'D'], [0, 'F']];
+const APDEX_RATINGS = [[0.94, 'Excellent'], [0.85, 'Good'], [0.7, 'Fair'], [0.5, 'Poor'], [0, 'Unacceptable']];
+
+/**
+ * Checks the `apdexT` and `slos` options.
+ * @param {number} [apdexT] - Apdex threshold T in ms.
+ * @param {Object} [slos] - Targets keyed by KPI, see `SLO_DEFINITIONS`.
+ */
+function validateKpiOptions(apdexT, slos) {
+    if (apdexT !== undefined && !(typeof apdexT === 'number' && apdexT > 0)) {
+        throw new Error('`apdexT` must be a positive number of milliseconds');
+    }
+    Object.entries(slos || {}).forEach(([key, target]) => {
+        if (!SLO_DEFINITIONS[key]) {
+            throw new Error(`Unknown SLO "${key}" (use one of: ${Object.keys(SLO_DEFINITIONS).join(', ')})`);
+        }
+        if (typeof target !== 'number' || target < 0) {
+            throw new Error(`SLO "${key}" must be a non-negative number`);
+        }
+    });
+}
+
+/**
+ * Generates the k6 code that classifies every HTTP response for the Apdex score: `apdex_satisfied` counts
+ * responses within T, `apdex_not_frustrated` those within 4T. Failed responses are always frustrated.
+ * @param {number} [apdexT=DEFAULT_APDEX_T] - Apdex threshold T in ms.
+ * @returns {string} - k6 code; needs `Rate` from k6/metrics.
+ */
+function generateApdexCode(apdexT = DEFAULT_APDEX_T) {
+    return `
+        const APDEX_T = ${apdexT};
+        const apdexSatisfied = new Rate('apdex_satisfied');
+        const apdexNotFrustrated = new Rate('apdex_not_frustrated');
+
+        function recordApdex(res) {
+            const ok = res.status >= 200 && res.status < 400;
+            apdexSatisfied.add(ok && res.timings.duration <= APDEX_T);
+            apdexNotFrustrated.add(ok && res.timings.duration <= 4 * APDEX_T);
+        }`;
+}
+
+/**
+ * Derives the headline KPIs of a run from its k6 summary.
+ * Throughput is requests per second of test run time, which k6 does not export directly: it is recovered from
+ * a counter's count and rate, or taken from the measured wall-clock time.
+ * @param {Object} jsonData - k6 JSON data (`--summary-export` format).
+ * @param {Object} [options]
+ * @param {number} [options.apdexT=500] - Apdex threshold T in ms.
+ * @param {Object} [options.slos] - Targets keyed by KPI, e.g. `{ p95: 500, errorRate: 0.01, rps: 100 }`.
+ * @param {number} [options.wallClockMs] - Measured run time, used when the summary has no counters.
+ * @returns {Object} - `{ durationSeconds, requests, rps, failedRequests, errorRate, checksPassRate, iterations,
+ *   iterationsPerSecond, vusMax, latency: { avg, med, p90, p95, max }, apdex, slo }`.
+ */
+function deriveKpis(jsonData, { apdexT = DEFAULT_APDEX_T, slos = null, wallClockMs = null } = {}) {
+    const metrics = jsonData.metrics || {};
+    const durationSeconds = testDuration(metrics) ?? (wallClockMs ? wallClockMs / 1000 : null);
+    const requests = metrics.http_reqs?.count ?? null;
+    const iterations = metrics.iterations?.count ?? null;
+    const duration = metrics.http_req_duration || {};
+    const checks = metrics.checks;
+    const checkCount = (checks?.passes || 0) + (checks?.fails || 0);
+
+    const kpis = {
+        durationSeconds,
+        requests,
+        rps: requests !== null && durationSeconds ? requests / durationSeconds : null,
+        // In http_req_failed, `passes` counts the failed requests
+        failedRequests: metrics.http_req_failed?.passes ?? null,
+        errorRate: metrics.http_req_failed?.value ?? null,
+        checksPassRate: checkCount ? checks.passes / checkCount : null,
+        iterations,
+        iterationsPerSecond: iterations !== null && durationSeconds ? iterations / durationSeconds : null,
+        vusMax: metrics.vus_max?.max ?? metrics.vus_max?.value ?? metrics.vus?.max ?? null,
+        latency: {
+            avg: duration.avg ?? null,
+            med: duration.med ?? null,
+            p90: duration['p(90)'] ?? null,
+            p95: duration['p(95)'] ?? null,
+            max: duration.max ?? null
+        },
+        apdex: apdexScore(metrics, apdexT)
+    };
+    kpis.slo = slos && Object.keys(slos).length ? scoreSlos(kpis, slos) : null;
+    return kpis;
+}
+
+// Every k6 counter exports `rate = count / test run time`
+function testDuration(metrics) {
+    const counter = [metrics.http_reqs, metrics.iterations, ...Object.values(metrics)]
+        .find(metric => metric?.count > 0 && metric.rate > 0);
+    return counter ? counter.count / counter.rate : null;
+}
+
+function apdexScore(metrics, apdexT) {
+    const satisfied = metrics.apdex_satisfied;
+    const notFrustrated = metrics.apdex_not_frustrated;
+    if (typeof satisfied?.value !== 'number' || typeof notFrustrated?.value !== 'number') {
+        return null;
+    }
+    // (satisfied + tolerating / 2) / total, where the tolerating share is notFrustrated - satisfied
+    const score = (satisfied.value + notFrustrated.value) / 2;
+    return { t: apdexT, score, rating: APDEX_RATINGS.find(([min]) => score >= min)[1] };
+}
+
+/**
+ * Scores each SLO from 0 to 100 (100 when met, proportionally less the further it is missed) and grades it A-F.
+ * The overall score is the average of the individual scores.
+ * @param {Object} kpis - KPIs from `deriveKpis`.
+ * @param {Object} slos - Targets keyed by KPI.
+ * @returns {{ score: number|null, grade: string|null, passed: boolean, objectives: Array<Object> }} - SLO scores.
+ */
+function scoreSlos(kpis, slos) {
+    const objectives = Object.entries(slos).map(([key, target]) => {
+        const definition = SLO_DEFINITIONS[key];
+        const actual = definition.value(kpis);
+        if (typeof actual !== 'number') {
+            return { key, label: definition.label, unit: definition.unit, target, actual: null, passed: null, score: null, grade: null };
+        }
+        const passed = definition.higherIsBetter ? actual >= target : actual <= target;
+        let score = 100;
+        if (!passed) {
+            score = definition.higherIsBetter ? actual / target * 100 : (actual > 0 ? target / actual * 100 : 0);
+        }
+        return { key, label: definition.label, unit: definition.unit, target, actual, passed, score, grade: grade(score) };
+    });
+
+    const scored = objectives.filter(objective => objective.score !== null);
+    const score = scored.length ? scored.reduce((sum, objective) => sum + objective.score, 0) / scored.length : null;
+    return {
+        score,
+        grade: score !== null ? grade(score) : null,
+        passed: scored.every(objective => objective.passed),
+        objectives
+    };
+}
+
+function grade(score) {
+    return GRADES.find(([min]) => score >= min)[1];
+}
+
+module.exports = { DEFAULT_APDEX_T, SLO_DEFINITIONS, validateKpiOptions, generateApdexCode, deriveKpis };
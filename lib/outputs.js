@@ -0,0 +1,137 @@
+/**
+ * Live metric outputs: k6 streams every sample to InfluxDB, Prometheus remote-write or an OpenTelemetry collector
+ * while the test runs, so results reach existing Grafana dashboards. Each output maps to one of k6's built-in
+ * `--out` targets, configured through the `K6_*` environment variables of the k6 process.
+ */
+
+const OUTPUT_TYPES = ['influxdb', 'prometheus', 'otlp'];
+const OTLP_PROTOCOLS = ['http', 'grpc'];
+const HTTP_URL = /^https?:\/\/[^\s/]+/i;
+
+/**
+ * Checks the `outputs` option.
+ * @param {Object|Array<Object>} outputs - One output or a list, each `{ type, url, ... }`:
+ *   `influxdb`: `url` with the database (`http://localhost:8086/k6`), `username`, `password`, `tagsAsFields`.
+ *   `prometheus`: remote-write `url` (`http://localhost:9090/api/v1/write`), `username`, `password`, `headers`,
+ *   `trendStats` (default `['p(95)', 'p(99)', 'min', 'max']`).
+ *   `otlp`: collector `url` (`http://localhost:4318/v1/metrics`, or `http://localhost:4317` with `protocol: 'grpc'`),
+ *   `protocol`, `headers`, `serviceName`, `metricPrefix`; an `http://` URL sends without TLS.
+ *   All types take `pushInterval` (a k6 duration); `influxdb` and `prometheus` take `insecure` to skip TLS verification.
+ * @returns {Array<Object>} - Outputs with their type and URL checked.
+ */
+function normalizeOutputs(outputs) {
+    const list = Array.isArray(outputs) ? outputs : [outputs];
+    const seen = new Set();
+    return list.map((output, index) => {
+        const where = `outputs[${index}]`;
+        if (!output || typeof output !== 'object') {
+            throw new Error(`${where} must be an object with \`type\` and \`url\``);
+        }
+        if (!OUTPUT_TYPES.includes(output.type)) {
+            throw new Error(`${where}: unknown output type "${output.type}" (use one of: ${OUTPUT_TYPES.join(', ')})`);
+        }
+        // k6 reads each output's settings from fixed environment variables, so a type can only be used once
+        if (seen.has(output.type)) {
+            throw new Error(`${where}: only one ${output.type} output is supported per run`);
+        }
+        seen.add(output.type);
+
+        const protocol = output.type === 'otlp' ? output.protocol || 'http' : null;
+        if (protocol && !OTLP_PROTOCOLS.includes(protocol)) {
+            throw new Error(`${where}: \`protocol\` must be one of: ${OTLP_PROTOCOLS.join(', ')}`);
+        }
+        const validUrl = protocol === 'grpc'
+            ? /^(?:https?:\/\/)?[^\s/:]+:\d+\/?$/i.test(output.url || '')
+            : HTTP_URL.test(output.url || '');
+        if (!validUrl) {
+            throw new Error(`${where}: \`url\` must be ${protocol === 'grpc' ? 'the collector address as host:port' : 'an http(s) URL'}`);
+        }
+        if (output.headers !== undefined && (typeof output.headers !== 'object' || output.headers === null || Array.isArray(output.headers))) {
+            throw new Error(`${where}: \`headers\` must be an object`);
+        }
+        return { ...output, ...(protocol ? { protocol } : {}) };
+    });
+}
+
+/**
+ * Builds the k6 arguments and environment for the outputs, with tags that identify the run on every sample.
+ * @param {Array<Object>} outputs - Outputs from `normalizeOutputs`.
+ * @param {Object} tags - Tags added to every metric, e.g. `{ testid, test, environment }`; empty values are skipped.
+ * @returns {{ args: string[], env: Object }} - `--out` and `--tag` arguments and the `K6_*` variables.
+ */
+function buildOutputArgs(outputs, tags) {
+    const args = [];
+    const env = {};
+    outputs.forEach(output => {
+        const { out, variables } = OUTPUT_BUILDERS[output.type](output);
+        args.push('--out', out);
+        Object.entries(variables)
+            .filter(([, value]) => value !== undefined && value !== null && value !== '')
+            .forEach(([name, value]) => { env[name] = String(value); });
+    });
+    Object.entries(tags)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .forEach(([name, value]) => args.push('--tag', `${name}=${value}`));
+    return { args, env };
+}
+
+/**
+ * One-line description of an output for logs, without credentials.
+ * @param {Object} output - Output from `normalizeOutputs`.
+ * @returns {string} - e.g. "prometheus (http://localhost:9090/api/v1/write)".
+ */
+function describeOutput(output) {
+    return `${output.type} (${output.url.replace(/\/\/[^@/]+@/, '//')})`;
+}
+
+const OUTPUT_BUILDERS = {
+    influxdb: output => ({
+        // The URL path names the database, e.g. http://localhost:8086/k6
+        out: `influxdb=${output.url}`,
+        variables: {
+            K6_INFLUXDB_USERNAME: output.username,
+            K6_INFLUXDB_PASSWORD: output.password,
+            K6_INFLUXDB_INSECURE: output.insecure,
+            K6_INFLUXDB_PUSH_INTERVAL: output.pushInterval,
+            K6_INFLUXDB_TAGS_AS_FIELDS: output.tagsAsFields?.join(',')
+        }
+    }),
+
+    prometheus: output => ({
+        out: 'experimental-prometheus-rw',
+        variables: {
+            K6_PROMETHEUS_RW_SERVER_URL: output.url,
+            K6_PROMETHEUS_RW_USERNAME: output.username,
+            K6_PROMETHEUS_RW_PASSWORD: output.password,
+            K6_PROMETHEUS_RW_INSECURE_SKIP_TLS_VERIFY: output.insecure,
+            K6_PROMETHEUS_RW_PUSH_INTERVAL: output.pushInterval,
+            // Trends are sent as these stats; the default is only p(99)
+            K6_PROMETHEUS_RW_TREND_STATS: (output.trendStats || ['p(95)', 'p(99)', 'min', 'max']).join(','),
+            ...Object.fromEntries(Object.entries(output.headers || {})
+                .map(([name, value]) => [`K6_PROMETHEUS_RW_HEADERS_${name}`, value]))
+        }
+    }),
+
+    otlp: output => {
+        const grpc = output.protocol === 'grpc';
+        const url = output.url.match(/^(?:(https?):\/\/)?([^/]+)(\/.*)?$/i);
+        const plaintext = url[1]?.toLowerCase() === 'http';
+        const prefix = grpc ? 'K6_OTEL_GRPC_EXPORTER' : 'K6_OTEL_HTTP_EXPORTER';
+        return {
+            out: 'experimental-opentelemetry',
+            variables: {
+                K6_OTEL_EXPORTER_TYPE: output.protocol,
+                [`${prefix}_ENDPOINT`]: url[2],
+                ...(grpc ? {} : { K6_OTEL_HTTP_EXPORTER_URL_PATH: url[3] && url[3] !== '/' ? url[3] : '/v1/metrics' }),
+                // A plain http:// collector, as in local containers, needs the insecure (plaintext) transport
+                [`${prefix}_INSECURE`]: plaintext || undefined,
+                K6_OTEL_HEADERS: Object.entries(output.headers || {}).map(([name, value]) => `${name}=${value}`).join(','),
+                K6_OTEL_EXPORT_INTERVAL: output.pushInterval,
+                K6_OTEL_SERVICE_NAME: output.serviceName || 'k6',
+                K6_OTEL_METRIC_PREFIX: output.metricPrefix
+            }
+        };
+    }
+};
+
+module.exports = { OUTPUT_TYPES, normalizeOutputs, buildOutputArgs, describeOutput };
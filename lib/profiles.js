@@ -0,0 +1,151 @@
+const { parseDuration } = require('./timeseries');
+
+const PROFILE_TYPES = ['smoke', 'load', 'stress', 'spike', 'soak', 'breakpoint'];
+const ARRIVAL_RATE_EXECUTORS = ['constant-arrival-rate', 'ramping-arrival-rate'];
+
+// Options that describe the load shape themselves and cannot be combined with a profile
+const SHAPE_OPTIONS = ['vus', 'duration', 'iterations', 'stages', 'scenarios'];
+
+const LABELS = {
+    smoke: 'Smoke',
+    load: 'Average load',
+    stress: 'Stress',
+    spike: 'Spike',
+    soak: 'Soak',
+    breakpoint: 'Breakpoint'
+};
+
+/**
+ * Fills in the defaults of a load profile and checks its parameters.
+ * Load is given as `vus` (closed model: a fixed pool of VUs that loop) or `rate` (open model: new iterations
+ * start at this rate per second, whether or not earlier ones have finished). With `rate`, `vus` is the number of VUs
+ * to start with and `maxVus` the most k6 may add. `breakpoint` always uses a rate.
+ * @param {string|Object} profile - Profile name or `{ type, vus | rate, peak, duration, rampUp, rampDown, maxVus }`.
+ * @returns {Object} - Profile with every parameter set.
+ */
+function normalizeProfile(profile) {
+    const config = typeof profile === 'string' ? { type: profile } : { ...profile };
+    if (!PROFILE_TYPES.includes(config.type)) {
+        throw new Error(`Unknown load profile "${config.type}" (use one of: ${PROFILE_TYPES.join(', ')})`);
+    }
+    ['vus', 'rate', 'peak', 'maxVus'].forEach(key => {
+        if (config[key] !== undefined && !(Number(config[key]) > 0)) {
+            throw new Error(`Load profile: \`${key}\` must be a positive number`);
+        }
+    });
+    ['duration', 'rampUp', 'rampDown'].forEach(key => {
+        if (config[key] !== undefined && !(typeof config[key] === 'string' && parseDuration(config[key]) > 0)) {
+            throw new Error(`Load profile: \`${key}\` must be a k6 duration such as '30s' or '5m'`);
+        }
+    });
+
+    const openModel = config.type === 'breakpoint' || config.rate !== undefined;
+    const target = Number(openModel ? config.rate ?? 1 : config.vus ?? (config.type === 'smoke' ? 1 : 10));
+    const defaults = {
+        smoke: { duration: '1m' },
+        load: { duration: '10m', rampUp: '2m', rampDown: '1m' },
+        stress: { duration: '5m', rampUp: '2m', rampDown: '1m', peak: target * 2 },
+        spike: { duration: '1m', rampUp: '10s', rampDown: '10s', peak: target * 5 },
+        soak: { duration: '2h', rampUp: '5m', rampDown: '5m' },
+        breakpoint: { duration: '30m', peak: target * 100 }
+    }[config.type];
+
+    const normalized = { ...defaults, ...config, target, unit: openModel ? 'iterations/s' : 'VUs' };
+    normalized.peak = Number(normalized.peak ?? target);
+    if (openModel) {
+        // Enough VUs for each iteration of the peak rate to take about a second, with room to grow
+        normalized.preAllocatedVUs = Math.ceil(config.vus ?? normalized.peak);
+        normalized.maxVus = Number(config.maxVus ?? normalized.preAllocatedVUs * 4);
+    }
+    return normalized;
+}
+
+/**
+ * Expands a load profile into k6 `scenarios` on top of the other test options (thresholds, tags, ...).
+ * @param {string|Object} profile - Profile name or config, see `normalizeProfile`.
+ * @param {Object} [options] - Test options without a load shape of their own.
+ * @returns {Object} - k6 options with a single scenario named after the profile.
+ */
+function applyProfile(profile, options = {}) {
+    const conflicting = SHAPE_OPTIONS.filter(key => options?.[key] !== undefined);
+    if (conflicting.length > 0) {
+        throw new Error(`\`profile\` sets the load shape itself; remove options.${conflicting.join(', options.')}`);
+    }
+    const config = normalizeProfile(profile);
+    return { ...options, scenarios: { [config.type]: toScenario(config) } };
+}
+
+function toScenario(config) {
+    const { type, target, peak, duration, rampUp, rampDown } = config;
+    const openModel = config.unit === 'iterations/s';
+    if (type === 'smoke') {
+        return openModel
+            ? { executor: 'constant-arrival-rate', rate: target, timeUnit: '1s', duration, preAllocatedVUs: config.preAllocatedVUs, maxVUs: config.maxVus }
+            : { executor: 'constant-vus', vus: target, duration };
+    }
+
+    const stages = {
+        load: [[rampUp, target], [duration, target], [rampDown, 0]],
+        soak: [[rampUp, target], [duration, target], [rampDown, 0]],
+        // Hold the normal load, then push past it to see how the system degrades
+        stress: [[rampUp, target], [duration, target], [rampUp, peak], [duration, peak], [rampDown, 0]],
+        // A sudden jump to the peak, then back to the normal load to see whether the system recovers
+        spike: [[rampUp, peak], [duration, peak], [rampDown, target], [duration, target], [rampDown, 0]],
+        // Keeps increasing until the system breaks; add thresholds with abortOnFail to stop there
+        breakpoint: [[duration, peak]]
+    }[type].map(([stageDuration, stageTarget]) => ({ duration: stageDuration, target: stageTarget }));
+
+    return openModel
+        ? {
+            executor: 'ramping-arrival-rate',
+            startRate: type === 'breakpoint' ? target : 0,
+            timeUnit: '1s',
+            preAllocatedVUs: config.preAllocatedVUs,
+            maxVUs: config.maxVus,
+            stages
+        }
+        : { executor: 'ramping-vus', startVUs: 0, stages };
+}
+
+/**
+ * One-line description of a load profile for reports, e.g. "Stress: ramping-vus, 10 VUs, peak 20 VUs, 15m".
+ * @param {string|Object} profile - Profile name or config.
+ * @returns {Object} - `{ type, label, unit, description }`.
+ */
+function describeProfile(profile) {
+    const config = normalizeProfile(profile);
+    const scenario = toScenario(config);
+    const total = scenario.stages
+        ? scenario.stages.reduce((sum, stage) => sum + parseDuration(stage.duration), 0)
+        : parseDuration(config.duration);
+    const parts = [
+        scenario.executor,
+        `${config.target} ${config.unit}`,
+        ...(['stress', 'spike', 'breakpoint'].includes(config.type) ? [`peak ${config.peak} ${config.unit}`] : []),
+        formatDuration(total)
+    ];
+    return { type: config.type, label: LABELS[config.type], unit: config.unit, description: `${LABELS[config.type]}: ${parts.join(', ')}` };
+}
+
+/**
+ * Tells how many scenarios use an arrival-rate executor, which paces iterations itself.
+ * @param {Object} [options] - k6 options.
+ * @returns {string} - `none`, `some` or `all`.
+ */
+function arrivalRatePacing(options) {
+    const scenarios = Object.values(options?.scenarios || {});
+    const paced = scenarios.filter(scenario => ARRIVAL_RATE_EXECUTORS.includes(scenario?.executor)).length;
+    if (paced === 0) {
+        return 'none';
+    }
+    return paced === scenarios.length ? 'all' : 'some';
+}
+
+function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const rest = Math.round(seconds % 60);
+    return [hours ? `${hours}h` : '', minutes ? `${minutes}m` : '', rest || (!hours && !minutes) ? `${rest}s` : ''].join('');
+}
+
+module.exports = { PROFILE_TYPES, ARRIVAL_RATE_EXECUTORS, normalizeProfile, applyProfile, describeProfile, arrivalRatePacing };
@@ -0,0 +1,235 @@
+const path = require('path');
+const { parseDuration } = require('./timeseries');
+
+/**
+ * Non-HTTP request types: GraphQL over HTTP, WebSocket sessions (`k6/ws`) and gRPC unary calls (`k6/net/grpc`).
+ */
+
+const REQUEST_TYPES = ['http', 'graphql', 'websocket', 'grpc'];
+
+/**
+ * Checks the type-specific fields of a request.
+ * @param {Object} request - Request configuration.
+ * @param {string} [label='request'] - Where the request is defined, used in error messages.
+ */
+function validateRequestType(request, label = 'request') {
+    const type = request.type || 'http';
+    if (!REQUEST_TYPES.includes(type)) {
+        throw new Error(`${label}: unknown request type "${type}" (use one of: ${REQUEST_TYPES.join(', ')})`);
+    }
+
+    switch (type) {
+        case 'graphql':
+            if (!request.query) {
+                throw new Error(`${label}: graphql request is missing \`query\``);
+            }
+            break;
+        case 'websocket':
+            (request.messages || []).forEach((message, index) => {
+                if (message?.send === undefined) {
+                    throw new Error(`${label}: websocket message ${index + 1} is missing \`send\``);
+                }
+            });
+            break;
+        case 'grpc':
+            if (!request.proto || !request.method) {
+                throw new Error(`${label}: grpc request needs \`proto\` (a local .proto file) and \`method\` (e.g. 'package.Service/Method')`);
+            }
+            if (request.auth) {
+                throw new Error(`${label}: grpc requests take credentials through \`metadata\`, not \`auth\``);
+            }
+            break;
+    }
+}
+
+/**
+ * Turns a GraphQL request into the equivalent HTTP POST request.
+ * @param {Object} request - GraphQL request configuration.
+ * @returns {Object} - HTTP request configuration.
+ */
+function toGraphQLHttpRequest(request) {
+    return {
+        ...request,
+        method: request.method || 'POST',
+        body: {
+            query: request.query,
+            ...(request.variables ? { variables: request.variables } : {}),
+            ...(request.operationName ? { operationName: request.operationName } : {})
+        }
+    };
+}
+
+// Custom metrics per request type, declared once at the top of the script
+const PROTOCOL_METRICS = {
+    graphql: "const graphqlErrors = new Rate('graphql_errors');",
+    websocket: "const wsReplyTime = new Trend('ws_reply_time', true);\n        const wsReplies = new Rate('ws_replies');"
+};
+
+// Runtime helpers per request type
+const PROTOCOL_HELPERS = {
+    graphql: `
+        function hasGraphQLErrors(res) {
+            try {
+                const errors = res.json('errors');
+                return Array.isArray(errors) && errors.length > 0;
+            } catch (e) {
+                return true;
+            }
+        }`,
+    websocket: `
+        function matchesReply(data, expect) {
+            if (expect.matches) return new RegExp(expect.matches).test(data);
+            if (expect.contains) return data.includes(expect.contains);
+            return true;
+        }`
+};
+
+/**
+ * Generates the imports, metrics, helpers and init-context code needed by the request types in a test.
+ * @param {Array<Object>} steps - Steps of the test.
+ * @returns {{ imports: string[], metrics: string[], code: string, grpcRequests: Array<Object> }} - Extra
+ *   import lines, metric classes to import from `k6/metrics`, script code, and the gRPC requests in
+ *   client order.
+ */
+function generateProtocolSetup(steps) {
+    const types = new Set(steps.map(step => step.request.type || 'http'));
+    const grpcRequests = steps.filter(step => step.request.type === 'grpc').map(step => step.request);
+
+    const imports = [];
+    const metrics = [];
+    const code = [];
+    if (types.has('graphql')) {
+        metrics.push('Rate');
+        code.push(PROTOCOL_METRICS.graphql, PROTOCOL_HELPERS.graphql);
+    }
+    if (types.has('websocket')) {
+        imports.push("import ws from 'k6/ws';");
+        metrics.push('Trend', 'Rate');
+        code.push(PROTOCOL_METRICS.websocket, PROTOCOL_HELPERS.websocket);
+    }
+    if (grpcRequests.length > 0) {
+        imports.push("import grpc from 'k6/net/grpc';");
+        // Protos are loaded in the init context; each VU connects on its first call
+        code.push(`const grpcClients = [${grpcRequests.map(() => 'new grpc.Client()').join(', ')}];
+        const grpcConnected = [];
+        ${grpcRequests.map((request, index) => {
+            const proto = path.resolve(request.proto);
+            return `grpcClients[${index}].load(${JSON.stringify([path.dirname(proto), ...(request.importPaths || []).map(dir => path.resolve(dir))])}, ${JSON.stringify(path.basename(proto))});`;
+        }).join('\n        ')}`);
+    }
+
+    return { imports, metrics, code: code.join('\n        '), grpcRequests };
+}
+
+/**
+ * Generates a WebSocket session: connect, send the message sequence (waiting for an expected reply
+ * where one is configured), keep the session open for `duration`, then close it.
+ * @param {Object} request - WebSocket request configuration.
+ * @param {Object} [tags] - Tags for the session's metrics.
+ * @param {{ headers: string, query: Object|null }} [auth] - Auth code from `generateAuthCode`.
+ * @returns {string} - k6 code that assigns the handshake response to `res` and counts missed replies in `wsMissed`.
+ */
+function generateWebSocketCode(request, tags = null, auth = { headers: '', query: null }) {
+    const holdMs = Math.round(parseDuration(request.duration ?? '10s') * 1000);
+    const headers = auth.headers
+        ? `{ ...render(${JSON.stringify(request.headers || {})}, vars), ${auth.headers} }`
+        : `render(${JSON.stringify(request.headers || {})}, vars)`;
+    const url = auth.query
+        ? `withQuery(render(${JSON.stringify(request.url)}, vars), render(${JSON.stringify(auth.query)}, vars))`
+        : `render(${JSON.stringify(request.url)}, vars)`;
+
+    return `
+        const messages = render(${JSON.stringify(request.messages || [])}, vars);
+        let wsMissed = 0;
+        let res = ws.connect(${url}, {
+            headers: ${headers},
+            ${tags ? `tags: ${JSON.stringify(tags)},` : ''}
+        }, function (socket) {
+            let next = 0;
+            let waiting = null;
+            let sentAt = 0;
+
+            // Sends messages in order until one expects a reply
+            function sendNext() {
+                while (next < messages.length) {
+                    const message = messages[next++];
+                    socket.send(typeof message.send === 'string' ? message.send : JSON.stringify(message.send));
+                    sentAt = Date.now();
+                    if (message.expect) {
+                        waiting = message.expect;
+                        return;
+                    }
+                }
+            }
+
+            socket.on('open', sendNext);
+            socket.on('message', function (data) {
+                if (waiting && matchesReply(data, waiting)) {
+                    wsReplyTime.add(Date.now() - sentAt);
+                    wsReplies.add(true);
+                    waiting = null;
+                    sendNext();
+                }
+            });
+            socket.setTimeout(function () {
+                if (waiting) {
+                    wsReplies.add(false);
+                    wsMissed++;
+                }
+                socket.close();
+            }, ${holdMs});
+        });`;
+}
+
+/**
+ * Generates a gRPC unary call through the step's client.
+ * @param {Object} request - gRPC request configuration.
+ * @param {number} index - Index of the request's client, from `generateProtocolSetup`.
+ * @param {Object} [tags] - Tags for the call's metrics.
+ * @returns {string} - k6 code that assigns the response to `res`.
+ */
+function generateGrpcCode(request, index, tags = null) {
+    return `
+        if (!grpcConnected[${index}]) {
+            grpcClients[${index}].connect(render(${JSON.stringify(request.url)}, vars), { plaintext: ${request.plaintext !== false} });
+            grpcConnected[${index}] = true;
+        }
+        let res = grpcClients[${index}].invoke(${JSON.stringify(request.method)}, render(${JSON.stringify(request.message || {})}, vars), {
+            metadata: render(${JSON.stringify(request.metadata || {})}, vars),
+            ${request.timeout ? `timeout: '${request.timeout}',` : ''}
+            ${tags ? `tags: ${JSON.stringify(tags)},` : ''}
+        });`;
+}
+
+/**
+ * Default checks for a request type.
+ * @param {Object} request - Request configuration.
+ * @param {string} prefix - Prefix for the check names, e.g. `[login] `.
+ * @param {boolean} [hasStatusAssertion=false] - Leave out the status check because an assertion replaces it.
+ * @returns {string} - `name: (r) => condition,` lines for a `check()` call.
+ */
+function generateDefaultChecks(request, prefix, hasStatusAssertion = false) {
+    const name = label => JSON.stringify(`${prefix}${label}`);
+    const httpStatus = hasStatusAssertion ? '' : `${name('status was 2xx')}: (r) => r.status >= 200 && r.status < 300,`;
+    switch (request.type || 'http') {
+        case 'graphql':
+            return `${httpStatus}\n                    ${name('graphql has no errors')}: (r) => !hasGraphQLErrors(r),`;
+        case 'websocket':
+            return `${name('websocket status was 101')}: (r) => r && r.status === 101,
+                    ${(request.messages || []).some(message => message.expect) ? `${name('websocket replies received')}: () => wsMissed === 0,` : ''}`;
+        case 'grpc':
+            return `${name('grpc status was OK')}: (r) => r && r.status === grpc.StatusOK,`;
+        default:
+            return httpStatus;
+    }
+}
+
+module.exports = {
+    REQUEST_TYPES,
+    validateRequestType,
+    toGraphQLHttpRequest,
+    generateProtocolSetup,
+    generateWebSocketCode,
+    generateGrpcCode,
+    generateDefaultChecks
+};
@@ -0,0 +1,173 @@
+/**
+ * Masks secrets and personal data before results leave the machine: the AI payload, the HTML report,
+ * exported scripts and saved JSON all go through the same redactor.
+ */
+
+const REPLACEMENT = '[REDACTED]';
+
+const DEFAULT_RULES = {
+    // Replace hostnames with stable placeholders (host-1.redacted, ...); off by default to keep reports readable
+    hosts: false,
+    // Header names whose values are masked, in header objects and in "Name: value" text
+    headers: ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key', 'api-key', 'x-auth-token'],
+    // Query-string parameters whose values are masked
+    queryParams: ['token', 'access_token', 'id_token', 'refresh_token', 'api_key', 'apikey', 'key', 'secret', 'client_secret',
+        'password', 'sig', 'signature', 'session', 'sessionid', 'auth'],
+    // Object keys, e.g. body fields, whose values are masked
+    fields: ['password', 'passwd', 'secret', 'token', 'access_token', 'refresh_token', 'client_secret', 'clientSecret',
+        'apiKey', 'api_key', 'accessToken', 'refreshToken'],
+    emails: true,
+    cardNumbers: true,
+    // Custom regular expressions (RegExp or string); every match is masked
+    patterns: [],
+    // Also mask the dataset written next to an exported script; off so the export runs as written
+    datasets: false
+};
+
+// Fields of an `auth` configuration that are kept; everything else in it is masked
+const AUTH_PUBLIC_FIELDS = ['type', 'in', 'name', 'grant', 'tokenUrl', 'scope', 'per', 'refreshBefore', 'clientAuth'];
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g;
+const CARD_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+// Values built only from {{placeholders}}, optionally after an auth scheme (`Bearer {{token}}`), hold no secret
+const TEMPLATE_ONLY = /^\s*(?:[A-Za-z]+\s+)?(?:\{\{\s*[\w.-]+\s*\}\}\s*)+$/;
+const URL_HOST_PATTERN = /\b((?:https?|wss?|grpcs?):\/\/)(?:[^\s/@"'`]+@)?([^\s/:?#"'`]+)/gi;
+
+/**
+ * Creates a redactor from the `redact` option.
+ * @param {boolean|Object} [config] - `false` turns redaction off; `true` or nothing uses the default rules;
+ *   an object overrides some of them: `{ hosts, headers, queryParams, fields, emails, cardNumbers, patterns, datasets }`.
+ *   Values that only hold `{{placeholder}}` templates are never masked.
+ * @returns {{ enabled: boolean, rules: string[], datasets: boolean, redact: Function, redactText: Function }} -
+ *   `redact(value)` returns a redacted deep copy of plain objects, arrays and strings; `rules` describes what is
+ *   masked, for the audit section; `datasets` tells whether exported datasets are redacted too.
+ */
+function createRedactor(config) {
+    if (config === false) {
+        return { enabled: false, rules: [], datasets: false, redact: value => value, redactText: text => text };
+    }
+    if (config !== undefined && config !== true && (typeof config !== 'object' || config === null || Array.isArray(config))) {
+        throw new Error('`redact` must be true, false or an object of rules');
+    }
+    const rules = { ...DEFAULT_RULES, ...(typeof config === 'object' ? config : {}) };
+    ['headers', 'queryParams', 'fields', 'patterns'].forEach(key => {
+        if (!Array.isArray(rules[key])) {
+            throw new Error(`\`redact.${key}\` must be an array`);
+        }
+    });
+
+    const patterns = rules.patterns.map(pattern => {
+        try {
+            return new RegExp(pattern instanceof RegExp ? pattern.source : pattern, 'g');
+        } catch (error) {
+            throw new Error(`Invalid redact pattern ${pattern}: ${error.message}`);
+        }
+    });
+    const sensitiveKeys = new Set([...rules.headers, ...rules.fields].map(name => name.toLowerCase()));
+    const headerLine = rules.headers.length
+        ? new RegExp(`\\b(${rules.headers.map(escapeRegExp).join('|')})(["']?\\s*[:=]\\s*)(["']?)([^"'\\n]*)\\3`, 'gi')
+        : null;
+    const queryParam = rules.queryParams.length
+        ? new RegExp(`([?&](?:${rules.queryParams.map(escapeRegExp).join('|')})=)(\\{\\{\\s*[\\w.-]+\\s*\\}\\}|[^&#\\s"'\`}]*)`, 'gi')
+        : null;
+    const hosts = new Map();
+
+    function redactText(text) {
+        let result = String(text);
+        if (headerLine) {
+            result = result.replace(headerLine, (match, name, separator, quote, value) =>
+                value && !TEMPLATE_ONLY.test(value) ? `${name}${separator}${quote}${REPLACEMENT}${quote}` : match);
+        }
+        if (queryParam) {
+            result = result.replace(queryParam, (match, name, value) => (TEMPLATE_ONLY.test(value) ? match : `${name}${REPLACEMENT}`));
+        }
+        if (rules.emails) {
+            result = result.replace(EMAIL_PATTERN, REPLACEMENT);
+        }
+        if (rules.cardNumbers) {
+            result = result.replace(CARD_PATTERN, match => (luhn(match.replace(/\D/g, '')) ? REPLACEMENT : match));
+        }
+        patterns.forEach(pattern => {
+            result = result.replace(pattern, REPLACEMENT);
+        });
+        if (rules.hosts) {
+            result = result.replace(URL_HOST_PATTERN, (match, scheme, host) => `${scheme}${maskHost(host)}`);
+        }
+        return result;
+    }
+
+    function maskHost(host) {
+        if (!hosts.has(host.toLowerCase())) {
+            hosts.set(host.toLowerCase(), `host-${hosts.size + 1}.redacted`);
+        }
+        return hosts.get(host.toLowerCase());
+    }
+
+    function redact(value, key = null) {
+        if (typeof value === 'string') {
+            if (key !== null && sensitiveKeys.has(String(key).toLowerCase()) && value && !TEMPLATE_ONLY.test(value)) {
+                return REPLACEMENT;
+            }
+            // gRPC targets are plain host:port
+            const target = rules.hosts && key === 'url' ? value.match(/^([^\s/:]+):(\d+)$/) : null;
+            return target ? `${maskHost(target[1])}:${target[2]}` : redactText(value);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => redact(item));
+        }
+        if (!isPlainObject(value)) {
+            return value;
+        }
+        return Object.fromEntries(Object.entries(value).map(([name, item]) => {
+            if (key === 'auth' && !AUTH_PUBLIC_FIELDS.includes(name) && typeof item === 'string' && !TEMPLATE_ONLY.test(item)) {
+                return [name, REPLACEMENT];
+            }
+            if (sensitiveKeys.has(name.toLowerCase()) && item !== null && typeof item !== 'object' && !TEMPLATE_ONLY.test(String(item))) {
+                return [name, REPLACEMENT];
+            }
+            return [redactText(name), redact(item, name)];
+        }));
+    }
+
+    return { enabled: true, rules: describeRules(rules), datasets: !!rules.datasets, redact, redactText };
+}
+
+function describeRules(rules) {
+    return [
+        ...(rules.headers.length ? [`Header values: ${rules.headers.join(', ')}`] : []),
+        ...(rules.queryParams.length ? [`Query parameters: ${rules.queryParams.join(', ')}`] : []),
+        ...(rules.fields.length ? [`Fields: ${rules.fields.join(', ')} and credentials in \`auth\``] : []),
+        ...(rules.emails ? ['Email addresses'] : []),
+        ...(rules.cardNumbers ? ['Card numbers (Luhn-checked)'] : []),
+        ...(rules.hosts ? ['Hostnames'] : []),
+        ...rules.patterns.map(pattern => `Pattern: ${pattern instanceof RegExp ? pattern.source : pattern}`),
+        ...(rules.datasets ? ['Datasets of exported scripts'] : [])
+    ];
+}
+
+function isPlainObject(value) {
+    if (!value || typeof value !== 'object') {
+        return false;
+    }
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+}
+
+function luhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = { REPLACEMENT, DEFAULT_RULES, createRedactor };
@@ -0,0 +1,25 @@
+// Common k6 summary stats first, in a fixed order; any other stat is appended
+const STAT_ORDER = ['count', 'rate', 'avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'value', 'passes', 'fails'];
+
+/**
+ * Renders every metric of a run as CSV, one row per metric and one column per stat, for spreadsheets.
+ * Stats a metric does not have are left empty.
+ * @param {Object} results - Results document from `buildResults`.
+ * @returns {string} - CSV document with a header row.
+ */
+function toCsv(results) {
+    const metrics = Object.entries(results.metrics);
+    const found = new Set(metrics.flatMap(([, stats]) => Object.keys(stats)));
+    const columns = [...STAT_ORDER.filter(stat => found.has(stat)), ...[...found].filter(stat => !STAT_ORDER.includes(stat)).sort()];
+
+    const rows = metrics.map(([name, stats]) => [name, ...columns.map(stat => stats[stat] ?? '')]);
+    return `${[['metric', ...columns], ...rows].map(row => row.map(csvCell).join(',')).join('\n')}\n`;
+}
+
+function csvCell(value) {
+    // Spreadsheets run text starting with = + - @ (or a tab/carriage return) as a formula; numbers stay as they are
+    const text = typeof value !== 'number' && /^[=+\-@\t\r]/.test(String(value)) ? `'${value}` : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = { toCsv };
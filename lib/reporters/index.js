@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+const { toMarkdown } = require('./markdown');
+const { toCsv } = require('./csv');
+const { RESULTS_SCHEMA_VERSION, buildResults, describeTest, testName } = require('./results');
+
+const REPORTERS = {
+    markdown: { label: 'Markdown summary', render: toMarkdown },
+    csv: { label: 'CSV metrics', render: toCsv },
+    json: { label: 'JSON results', render: results => `${JSON.stringify(results, null, 2)}\n` }
+};
+
+const EXTENSIONS = { '.md': 'markdown', '.markdown': 'markdown', '.csv': 'csv', '.json': 'json' };
+
+/**
+ * Normalizes the `reports` option. A plain string is a path whose extension (.md, .csv, .json) picks the format.
+ * @param {Array<string|Object>} reports - Paths or `{ format, path }` entries.
+ * @returns {Array<{ format: string, path: string }>} - Normalized entries.
+ */
+function normalizeReports(reports) {
+    if (!Array.isArray(reports)) {
+        throw new Error('`reports` must be an array of paths or { format, path } entries');
+    }
+    return reports.map(report => {
+        const entry = typeof report === 'string' ? { path: report } : { ...report };
+        if (!entry.path) {
+            throw new Error('Every entry in `reports` needs a `path`');
+        }
+        entry.format = entry.format || EXTENSIONS[path.extname(entry.path).toLowerCase()];
+        if (!REPORTERS[entry.format]) {
+            throw new Error(`Unknown report format for ${entry.path} (use one of: ${Object.keys(REPORTERS).join(', ')})`);
+        }
+        return entry;
+    });
+}
+
+/**
+ * Writes the results document in every requested format.
+ * @param {Array<{ format: string, path: string }>} reports - Entries from `normalizeReports`.
+ * @param {Object} results - Results document from `buildResults`.
+ */
+function writeReports(reports, results) {
+    reports.forEach(report => {
+        const reporter = REPORTERS[report.format];
+        fs.mkdirSync(path.dirname(path.resolve(report.path)), { recursive: true });
+        fs.writeFileSync(report.path, reporter.render(results));
+        console.log(`${reporter.label} saved: ${report.path}`);
+    });
+}
+
+module.exports = { REPORT_FORMATS: Object.keys(REPORTERS), RESULTS_SCHEMA_VERSION, normalizeReports, writeReports, buildResults, describeTest, testName };
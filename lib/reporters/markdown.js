@@ -0,0 +1,122 @@
+/**
+ * Renders results as a short Markdown summary that fits in a pull-request comment:
+ * the outcome, headline KPIs, SLOs, thresholds, failed checks, assertions, baseline regressions and findings.
+ * @param {Object} results - Results document from `buildResults`.
+ * @returns {string} - Markdown document.
+ */
+function toMarkdown(results) {
+    const { test, status, kpis } = results;
+    const outcome = status.aborted ? 'aborted' : status.passed ? 'passed' : 'failed';
+    const lines = [
+        `## Performance test ${outcome}: ${inline(test.name)}`,
+        '',
+        ...(test.environment ? [`Environment: ${inline(test.environment)}`, ''] : []),
+        ...(test.profile ? [`Load profile: ${inline(test.profile.description)}`, ''] : []),
+        table(['KPI', 'Value'], [
+            ['Duration', typeof kpis.durationSeconds === 'number' ? `${round(kpis.durationSeconds)} s` : '-'],
+            ['Requests', kpis.requests ?? '-'],
+            ['Throughput', kpis.rps !== null ? `${round(kpis.rps)} req/s` : '-'],
+            ['Error rate', percent(kpis.errorRate)],
+            ['Latency p95', ms(kpis.latency.p95)],
+            ['Latency avg / med / max', [kpis.latency.avg, kpis.latency.med, kpis.latency.max].map(ms).join(' / ')],
+            ['Checks passed', percent(kpis.checksPassRate)],
+            ['Iterations', kpis.iterations ?? '-'],
+            ['Max VUs', kpis.vusMax ?? '-'],
+            ...(kpis.apdex ? [[`Apdex (T = ${kpis.apdex.t} ms)`, `${round(kpis.apdex.score)} (${kpis.apdex.rating})`]] : []),
+            ...(kpis.slo ? [['SLO score', kpis.slo.score !== null ? `${round(kpis.slo.score)}/100 (${kpis.slo.grade})` : '-']] : [])
+        ])
+    ];
+
+    if (kpis.slo) {
+        lines.push('', '### Service level objectives', '', table(['Objective', 'Target', 'Actual', 'Grade', 'Result'],
+            kpis.slo.objectives.map(objective => [
+                objective.label,
+                sloValue(objective.target, objective.unit),
+                objective.actual !== null ? sloValue(objective.actual, objective.unit) : '-',
+                objective.grade || '-',
+                objective.passed === null ? '-' : objective.passed ? 'met' : '**missed**'
+            ])));
+    }
+
+    if (results.thresholds.length) {
+        lines.push('', '### Thresholds', '', table(['Metric', 'Threshold', 'Result'],
+            results.thresholds.map(threshold => [threshold.metric, threshold.threshold, threshold.passed ? 'passed' : '**failed**'])));
+    }
+
+    const failedChecks = results.checks.filter(check => !check.passed);
+    if (failedChecks.length) {
+        lines.push('', '### Failed checks', '', table(['Check', 'Passes', 'Fails'],
+            failedChecks.map(check => [check.name, check.passes, check.fails])));
+    }
+
+    if (results.assertions) {
+        lines.push('', '### Assertions', '', table(['Step', 'Assertion', 'Passes', 'Fails', 'Result'],
+            results.assertions.map(assertion => [
+                assertion.step || '-',
+                assertion.name,
+                assertion.passes,
+                assertion.fails,
+                assertion.passed === null ? 'not run' : assertion.passed ? 'passed' : '**failed**'
+            ])));
+    }
+
+    if (results.baseline) {
+        lines.push('', '### vs. Baseline', '', table(['Metric', 'Baseline', 'Current', 'Change', 'Result'],
+            results.baseline.comparisons.map(comparison => {
+                const sign = comparison.delta > 0 ? '+' : '';
+                const change = comparison.toleranceType === 'absolute'
+                    ? `${sign}${round(comparison.delta)} pp`
+                    : `${sign}${withUnit(comparison.delta, comparison.unit)}${comparison.deltaPercent !== null ? ` (${sign}${round(comparison.deltaPercent)}%)` : ''}`;
+                return [
+                    comparison.label,
+                    withUnit(comparison.baseline, comparison.unit),
+                    withUnit(comparison.current, comparison.unit),
+                    change,
+                    comparison.regression ? '**regression**' : 'ok'
+                ];
+            })));
+    }
+
+    if (results.analysis?.findings?.length) {
+        lines.push('', `### Findings (${results.analysis.source === 'offline' ? 'built-in analysis' : 'AI analysis'})`, '',
+            table(['Severity', 'Metric', 'Issue', 'Recommendation'],
+                results.analysis.findings.map(finding => [finding.severity || '-', finding.metric, finding.issue, finding.recommendation])));
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+function table(headers, rows) {
+    return [
+        `| ${headers.join(' | ')} |`,
+        `|${headers.map(() => '---').join('|')}|`,
+        ...rows.map(row => `| ${row.map(cell => inline(cell)).join(' | ')} |`)
+    ].join('\n');
+}
+
+// Keeps a value on one table row
+function inline(value) {
+    return String(value).replace(/\s+/g, ' ').replace(/\|/g, '\\|');
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function withUnit(value, unit) {
+    return `${round(value)}${unit === '%' ? '%' : ` ${unit}`}`;
+}
+
+function ms(value) {
+    return typeof value === 'number' ? `${round(value)} ms` : '-';
+}
+
+function sloValue(value, unit) {
+    return unit === '%' ? percent(value) : `${round(value)}${unit ? ` ${unit}` : ''}`;
+}
+
+function percent(value) {
+    return typeof value === 'number' ? `${round(value * 100)}%` : '-';
+}
+
+module.exports = { toMarkdown };
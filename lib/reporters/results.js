@@ -0,0 +1,96 @@
+const { version } = require('../../package.json');
+const { deriveKpis } = require('../kpis');
+
+// Bumped whenever a field is renamed or removed; new fields may be added within a version
+const RESULTS_SCHEMA_VERSION = 1;
+
+/**
+ * Builds the normalized, versioned results document that the Markdown, CSV and JSON reporters write.
+ * Unlike the k6 summary, its shape is owned by this tool and stays stable across k6 versions:
+ *
+ * - `schemaVersion`, `tool: { name, version }`, `generatedAt`, `runId` - also the `testid` tag of streamed metrics
+ * - `test: { name, environment, flow, requests: [{ step, type, method, url }], options, profile, thinkTime, data }`
+ * - `status: { passed, aborted }` - passed when no threshold was crossed and the baseline did not regress
+ * - `kpis: { durationSeconds, requests, rps, failedRequests, errorRate, checksPassRate, iterations, iterationsPerSecond,
+ *   vusMax, latency: { avg, med, p90, p95, max }, apdex: { t, score, rating }, slo: { score, grade, passed, objectives } }`
+ *   - `apdex` and `slo` are `null` when not measured or declared
+ * - `metrics: { <k6 metric>: { <stat>: value } }` - every metric of the run, including per-step sub-metrics
+ * - `thresholds`, `checks` - from the verdict
+ * - `assertions`, `baseline`, `analysis: { source, findings }` - `null` when not used; an assertion that never ran has `passed: null`
+ *
+ * Request headers, bodies and credentials are not included.
+ * @param {Object} jsonData - k6 JSON data (`--summary-export` format).
+ * @param {Object} context
+ * @param {Object} context.params - `runPerformanceTest` parameters, with the options the test ran with.
+ * @param {Object} context.verdict - Verdict from `evaluateVerdict`.
+ * @param {Array<Object>} [context.assertions] - Per-assertion counts from `summarizeAssertions`.
+ * @param {Object} [context.baseline] - Baseline comparison.
+ * @param {Object} [context.profile] - Load profile from `describeProfile`.
+ * @param {Object} [context.analysis] - `{ source: 'ai'|'offline', findings }`.
+ * @param {Object} [context.kpis] - KPIs from `deriveKpis`; derived from `jsonData` alone when not provided.
+ * @param {string} [context.runId] - ID of the run.
+ * @param {boolean} [context.aborted=false] - Whether the run was stopped early.
+ * @returns {Object} - Results document.
+ */
+function buildResults(jsonData, { params, verdict, assertions = [], baseline = null, profile = null, analysis = null, kpis = null, runId = null, aborted = false }) {
+    const metrics = Object.fromEntries(Object.entries(jsonData.metrics || {})
+        .map(([name, { thresholds, ...stats }]) => [name, stats]));
+
+    return {
+        schemaVersion: RESULTS_SCHEMA_VERSION,
+        tool: { name: 'performancenilgiri', version },
+        generatedAt: new Date().toISOString(),
+        runId,
+        test: describeTest(params, profile),
+        status: { passed: verdict.passed && (baseline?.passed ?? true), aborted },
+        kpis: kpis || deriveKpis(jsonData),
+        metrics,
+        thresholds: verdict.thresholds,
+        checks: verdict.checks,
+        assertions: assertions.length ? assertions : null,
+        baseline,
+        analysis
+    };
+}
+
+/**
+ * Describes the test configuration for reports and the AI analysis, without headers, bodies or credentials.
+ * @param {Object} params - `runPerformanceTest` parameters, with the options the test ran with.
+ * @param {Object} [profile] - Load profile from `describeProfile`.
+ * @returns {Object} - `{ name, flow, requests: [{ step, type, method, url }], options, profile, thinkTime, data }`.
+ */
+function describeTest(params, profile = null) {
+    const steps = params.steps || [{ request: params.request }];
+    return {
+        name: testName(params),
+        environment: params.environment || null,
+        flow: params.flow || 'sequence',
+        requests: steps.map(step => ({
+            step: step.name || null,
+            type: step.request.type || 'http',
+            method: ['http', undefined].includes(step.request.type) ? (step.request.method || 'GET').toUpperCase() : null,
+            url: step.request.url
+        })),
+        options: params.options || {},
+        profile,
+        thinkTime: params.thinkTime ?? 1,
+        data: params.data ? (typeof params.data === 'string' ? { path: params.data } : params.data) : null
+    };
+}
+
+/**
+ * Name of a test for reports and history: `params.name`, else the step names of a journey or the method and URL.
+ * @param {Object} params - `runPerformanceTest` parameters.
+ * @returns {string} - Test name.
+ */
+function testName(params) {
+    if (params.name) {
+        return String(params.name);
+    }
+    if (params.steps?.length) {
+        return params.steps.map(step => step.name).join(' > ');
+    }
+    return `${(params.request?.method || 'GET').toUpperCase()} ${params.request?.url}`;
+}
+
+module.exports = { RESULTS_SCHEMA_VERSION, buildResults, describeTest, testName };
@@ -0,0 +1,88 @@
+const net = require('net');
+const { spawn } = require('child_process');
+const axios = require('axios');
+
+/**
+ * Runs k6 asynchronously. Progress is polled from k6's REST API on a private port, and an
+ * AbortSignal stops the test through the same API so k6 still writes its (partial) summary.
+ * @param {string[]} args - k6 arguments, starting with `run`.
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Working directory for k6.
+ * @param {AbortSignal} [options.signal] - Stops the test when aborted.
+ * @param {Function} [options.onProgress] - Called about once per `progressInterval` with
+ *   `{ elapsed, vus, requests, rps, iterations }` (elapsed in seconds).
+ * @param {number} [options.progressInterval=1000] - Progress polling interval in milliseconds.
+ * @param {Object} [options.env] - Extra environment variables for k6, e.g. output settings.
+ * @returns {Promise<{ status: number|null, aborted: boolean }>} - k6 exit status and whether the run was aborted.
+ */
+async function runK6(args, { cwd, signal, onProgress, progressInterval = 1000, env } = {}) {
+    if (signal?.aborted) {
+        throw new Error('Performance test aborted before it started');
+    }
+
+    const port = await getFreePort();
+    const api = `http://127.0.0.1:${port}/v1`;
+    const child = spawn('k6', [...args, '--address', `127.0.0.1:${port}`], {
+        cwd,
+        stdio: 'inherit',
+        ...(env ? { env: { ...process.env, ...env } } : {})
+    });
+
+    let aborted = false;
+    const onAbort = () => {
+        aborted = true;
+        console.log('Stopping k6 test...');
+        axios.patch(`${api}/status`, { data: { type: 'status', id: 'default', attributes: { stopped: true } } }, { timeout: 2000 })
+            .catch(() => child.kill('SIGINT'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const startedAt = Date.now();
+    let previous = null;
+    const timer = onProgress ? setInterval(async () => {
+        try {
+            const progress = await readProgress(api);
+            const elapsed = (Date.now() - startedAt) / 1000;
+            const rps = previous ? (progress.requests - previous.requests) / (elapsed - previous.elapsed) : 0;
+            previous = { requests: progress.requests, elapsed };
+            onProgress({ elapsed, ...progress, rps: Math.max(0, Math.round(rps * 100) / 100) });
+        } catch (error) {
+            // The API is not up yet or k6 is shutting down
+        }
+    }, progressInterval) : null;
+
+    try {
+        const status = await new Promise((resolve, reject) => {
+            child.on('error', reject);
+            child.on('close', code => resolve(code));
+        });
+        return { status, aborted };
+    } finally {
+        clearInterval(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+}
+
+async function readProgress(api) {
+    const response = await axios.get(`${api}/metrics`, { timeout: 1000 });
+    const metrics = Object.fromEntries(response.data.data.map(metric => [metric.id, metric.attributes.sample]));
+    return {
+        vus: metrics.vus?.value ?? 0,
+        requests: metrics.http_reqs?.count ?? 0,
+        iterations: metrics.iterations?.count ?? 0
+    };
+}
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+module.exports = { runK6 };
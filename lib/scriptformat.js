@@ -0,0 +1,115 @@
+const INDENT = '    ';
+const OPENERS = '{[(';
+const CLOSERS = '}])';
+// A `/` after one of these starts a regular expression literal rather than a division
+const REGEX_PRECEDERS = '(,=:[!&|?{};+-*%<>~^';
+
+/**
+ * Re-indents generated JavaScript by bracket nesting and collapses repeated blank lines. A line that opens several
+ * brackets, like `check(res, {`, indents the following lines by one level only.
+ * Only leading whitespace and blank lines change, so the code behaves exactly the same.
+ * Strings, template literals, regular expressions and comments are skipped when counting brackets.
+ * @param {string} code - JavaScript source.
+ * @returns {string} - Formatted source, ending with a newline.
+ */
+function formatScript(code) {
+    const output = [];
+    // Line number of every open bracket
+    const state = { open: [], line: 0, template: false };
+    let blank = false;
+
+    code.split('\n').forEach(rawLine => {
+        const line = rawLine.trim();
+        state.line++;
+        if (!line) {
+            // Keep at most one blank line, and none right after an opening bracket or inside a list
+            if (!blank && output.length && !/[{[(,]$/.test(output[output.length - 1])) {
+                output.push('');
+            }
+            blank = true;
+            return;
+        }
+        if (state.template) {
+            // Inside a multi-line template literal the text is content, so leave it untouched
+            output.push(rawLine);
+            scanLine(rawLine, state);
+            blank = false;
+            return;
+        }
+
+        const leadingClosers = line.match(/^[}\])]+/)?.[0].length || 0;
+        if (leadingClosers && output[output.length - 1] === '') {
+            output.pop();
+        }
+        // Closing a bracket also ends the indent of brackets opened on the same line, as in `}, { tag });`
+        const kept = Math.max(0, state.open.length - leadingClosers);
+        const closedLine = leadingClosers ? state.open[kept] : null;
+        const level = new Set(state.open.slice(0, kept).filter(line => line !== closedLine)).size;
+        // Brackets still open from that line now belong to this one, as in `}, function () {`
+        state.open = state.open.map(line => (line === closedLine ? state.line : line));
+        // Continuation lines of a ternary or a method chain are indented one more level
+        const continuation = /^([?:.]|&&|\|\|)/.test(line) ? 1 : 0;
+        output.push(INDENT.repeat(level + continuation) + line);
+        scanLine(line, state);
+        blank = false;
+    });
+
+    while (output[output.length - 1] === '') {
+        output.pop();
+    }
+    // Imports are generated one per optional line, which leaves gaps between them
+    const formatted = output.filter((line, index) => line !== '' || !(/^import /.test(output[index - 1]) && /^import /.test(output[index + 1])));
+    return `${formatted.join('\n')}\n`;
+}
+
+// Updates the open brackets and template-literal state with the brackets found in one line of code
+function scanLine(line, state) {
+    let quote = state.template ? '`' : null;
+    let previous = '';
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quote) {
+            if (char === '\\') {
+                i++;
+            } else if (char === quote) {
+                quote = null;
+                previous = char;
+            }
+            continue;
+        }
+        if (char === '"' || char === "'" || char === '`') {
+            quote = char;
+        } else if (char === '/' && line[i + 1] === '/') {
+            break;
+        } else if (char === '/' && (previous === '' || REGEX_PRECEDERS.includes(previous) || /\b(return|typeof)$/.test(line.slice(0, i).trimEnd()))) {
+            i = skipRegex(line, i);
+        } else if (OPENERS.includes(char)) {
+            state.open.push(state.line);
+        } else if (CLOSERS.includes(char)) {
+            state.open.pop();
+        }
+        if (char.trim()) {
+            previous = char;
+        }
+    }
+    state.template = quote === '`';
+}
+
+function skipRegex(line, start) {
+    let inClass = false;
+    for (let i = start + 1; i < line.length; i++) {
+        const char = line[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === '[') {
+            inClass = true;
+        } else if (char === ']') {
+            inClass = false;
+        } else if (char === '/' && !inClass) {
+            return i;
+        }
+    }
+    return line.length;
+}
+
+module.exports = { formatScript };
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+/**
+ * Loads a declarative test plan from a YAML or JSON file.
+ * The plan has the same shape as the `runPerformanceTest` parameters (`request` or `steps`, `options`,
+ * `checks`, `thinkTime`, `aireport`, `detailedReportjson`, ...).
+ *
+ * String values may reference environment variables as `${NAME}` or `${NAME:-default}`,
+ * so secrets and base URLs stay out of the file. Relative `data` and gRPC `proto`/`importPaths` paths are resolved against the
+ * plan's directory. The test `name` defaults to the file name without `.plan.yaml`, `.yaml` or `.json`.
+ *
+ * @param {string} planPath - Path to a `.yaml`, `.yml` or `.json` plan file.
+ * @param {Object} [env=process.env] - Variables available for interpolation.
+ * @returns {Object} - Parameters for `runPerformanceTest`.
+ */
+function loadTestPlan(planPath, env = process.env) {
+    const content = fs.readFileSync(planPath, 'utf8');
+    const extension = path.extname(planPath).toLowerCase();
+
+    let plan;
+    try {
+        plan = extension === '.json' ? JSON.parse(content) : YAML.parse(content);
+    } catch (error) {
+        throw new Error(`Invalid test plan ${planPath}: ${error.message}`);
+    }
+    if (!plan || typeof plan !== 'object' || Array.isArray(plan)) {
+        throw new Error(`Invalid test plan ${planPath}: expected an object at the top level`);
+    }
+
+    const missing = new Set();
+    const params = interpolate(plan, env, missing, []);
+    if (missing.size > 0) {
+        throw new Error(`Test plan ${planPath} references undefined environment variables: ${[...missing].join(', ')}`);
+    }
+
+    if (!params.name) {
+        params.name = path.basename(planPath).replace(/(\.plan)?\.(ya?ml|json)$/i, '');
+    }
+
+    const baseDir = path.dirname(path.resolve(planPath));
+    if (typeof params.data === 'string') {
+        params.data = path.resolve(baseDir, params.data);
+    } else if (params.data?.path) {
+        params.data = { ...params.data, path: path.resolve(baseDir, params.data.path) };
+    }
+    [params.request, ...(Array.isArray(params.steps) ? params.steps : []).map(step => step?.request)].forEach(request => {
+        if (request?.proto) {
+            request.proto = path.resolve(baseDir, request.proto);
+        }
+        if (Array.isArray(request?.importPaths)) {
+            request.importPaths = request.importPaths.map(dir => path.resolve(baseDir, dir));
+        }
+    });
+
+    return params;
+}
+
+// A value that is nothing but one reference, such as `vus: ${VUS:-10}`
+const SINGLE_REFERENCE = /^\$\{[A-Za-z_][A-Za-z0-9_]*(?::-[^}]*)?\}$/;
+// Numbers with leading zeros, like IDs or postcodes, stay strings
+const NUMBER = /^-?(?:0|[1-9]\d*)(?:\.\d+)?$/;
+// Load settings whose references may become numbers or booleans; request, auth and aireport values stay strings
+const TYPED_FIELDS = ['options', 'profile', 'thinkTime', 'apdexT', 'slos', 'failOnThresholds'];
+const TYPED_STEP_FIELDS = ['thinkTime', 'weight'];
+const TYPED_ENVIRONMENT_FIELDS = ['maxVus', 'maxRps'];
+
+/**
+ * Replaces `${NAME}` and `${NAME:-default}` references in every string of a parsed plan.
+ * `$${NAME}` escapes a literal `${NAME}`. In load settings (`options`, `profile`, `thinkTime`, step weights,
+ * environment caps, ...) a value that is exactly one reference becomes a number or boolean when the variable
+ * holds one, so `vus: ${VUS}` can come from the environment.
+ * @param {*} value - Plan value.
+ * @param {Object} env - Variables available for interpolation.
+ * @param {Set<string>} missing - Collects referenced variables that are not defined.
+ * @param {Array<string|number>} keys - Path of the value in the plan.
+ * @returns {*} - Interpolated value.
+ */
+function interpolate(value, env, missing, keys) {
+    if (typeof value === 'string') {
+        const interpolated = value.replace(/\$?\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+            if (match.startsWith('$$')) {
+                return match.slice(1);
+            }
+            if (env[name] !== undefined && env[name] !== '') {
+                return env[name];
+            }
+            if (fallback !== undefined) {
+                return fallback;
+            }
+            missing.add(name);
+            return match;
+        });
+        return SINGLE_REFERENCE.test(value) && isTypedField(keys) ? toScalar(interpolated) : interpolated;
+    }
+    if (Array.isArray(value)) {
+        return value.map((item, index) => interpolate(item, env, missing, [...keys, index]));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, env, missing, [...keys, key])]));
+    }
+    return value;
+}
+
+function isTypedField([field, , name]) {
+    return TYPED_FIELDS.includes(field)
+        || (field === 'steps' && TYPED_STEP_FIELDS.includes(name))
+        || (field === 'environments' && TYPED_ENVIRONMENT_FIELDS.includes(name));
+}
+
+function toScalar(value) {
+    if (NUMBER.test(value)) {
+        return Number(value);
+    }
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    return value;
+}
+
+module.exports = { loadTestPlan };
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const readline = require('readline');
+const zlib = require('zlib');
+
+// Longer runs are merged into wider buckets so charts stay readable
+const MAX_BUCKETS = 120;
+
+/**
+ * Aggregates k6's per-sample JSON output (`--out json=<file>`, optionally gzipped) into time buckets.
+ * @param {string} samplesPath - Path to the k6 JSON output.
+ * @param {Object} [options]
+ * @param {number} [options.bucketSeconds] - Bucket width; chosen automatically for at most 120 buckets when omitted.
+ * @returns {Promise<Object|null>} - `{ start, bucketSeconds, buckets }`, or null when there are no samples.
+ *   Each bucket has `t` (seconds since start), `requests`, `rps`, `errorRate`, `p50`, `p90`, `p95` and `vus`.
+ */
+async function aggregateTimeSeries(samplesPath, { bucketSeconds } = {}) {
+    let input = fs.createReadStream(samplesPath);
+    if (samplesPath.endsWith('.gz')) {
+        input = input.pipe(zlib.createGunzip());
+    }
+
+    // Collect per-second samples first; the bucket width is only known once the run length is
+    const seconds = new Map();
+    let start = Infinity;
+    let end = -Infinity;
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (!line.includes('"Point"')) {
+            continue;
+        }
+        let sample;
+        try {
+            sample = JSON.parse(line);
+        } catch (error) {
+            continue;
+        }
+        // OAuth2 token requests are not part of the measured traffic
+        if (sample.data.tags?.auth === 'token') {
+            continue;
+        }
+        const time = Date.parse(sample.data.time);
+        const second = Math.floor(time / 1000);
+        start = Math.min(start, second);
+        end = Math.max(end, second);
+
+        const entry = seconds.get(second) || { durations: [], requests: 0, failed: 0, failedTotal: 0, vus: null };
+        switch (sample.metric) {
+            case 'http_req_duration':
+                entry.durations.push(sample.data.value);
+                break;
+            case 'http_reqs':
+                entry.requests += sample.data.value;
+                break;
+            case 'http_req_failed':
+                entry.failed += sample.data.value;
+                entry.failedTotal += 1;
+                break;
+            case 'vus':
+                entry.vus = Math.max(entry.vus ?? 0, sample.data.value);
+                break;
+        }
+        seconds.set(second, entry);
+    }
+
+    if (seconds.size === 0) {
+        return null;
+    }
+
+    const width = bucketSeconds || Math.max(1, Math.ceil((end - start + 1) / MAX_BUCKETS));
+    const buckets = [];
+    for (let bucketStart = start; bucketStart <= end; bucketStart += width) {
+        const merged = { durations: [], requests: 0, failed: 0, failedTotal: 0, vus: null };
+        for (let second = bucketStart; second < bucketStart + width; second++) {
+            const entry = seconds.get(second);
+            if (!entry) continue;
+            merged.durations = merged.durations.concat(entry.durations);
+            merged.requests += entry.requests;
+            merged.failed += entry.failed;
+            merged.failedTotal += entry.failedTotal;
+            if (entry.vus !== null) merged.vus = Math.max(merged.vus ?? 0, entry.vus);
+        }
+
+        merged.durations.sort((a, b) => a - b);
+        buckets.push({
+            t: bucketStart - start,
+            requests: merged.requests,
+            rps: round(merged.requests / width),
+            errorRate: merged.failedTotal ? round(merged.failed / merged.failedTotal * 100) : null,
+            p50: percentile(merged.durations, 50),
+            p90: percentile(merged.durations, 90),
+            p95: percentile(merged.durations, 95),
+            vus: merged.vus
+        });
+    }
+
+    return { start: new Date(start * 1000).toISOString(), bucketSeconds: width, buckets };
+}
+
+/**
+ * Turns ramping `stages` into target points over time, for overlaying on the timeline charts.
+ * A single ramping scenario (as generated for a load profile) is used when there is no `stages` shortcut.
+ * @param {Object} options - k6 options.
+ * @returns {Array<{ t: number, target: number }>} - Target at the start and end of every stage, in seconds.
+ */
+function stageTargets(options) {
+    const scenarios = Object.values(options?.scenarios || {});
+    const scenario = !options?.stages && scenarios.length === 1 && Array.isArray(scenarios[0]?.stages) ? scenarios[0] : null;
+    const stages = options?.stages || scenario?.stages;
+    if (!Array.isArray(stages) || stages.length === 0) {
+        return [];
+    }
+    // The `stages` shortcut starts ramping from `vus` (1 by default)
+    const points = [{ t: 0, target: scenario ? scenario.startVUs ?? scenario.startRate ?? 0 : options.vus ?? 1 }];
+    let elapsed = 0;
+    stages.forEach(stage => {
+        elapsed += parseDuration(stage.duration);
+        points.push({ t: elapsed, target: stage.target });
+    });
+    return points;
+}
+
+/**
+ * Parses a k6 duration string such as `1m30s`, `500ms` or `2h` into seconds.
+ * @param {string|number} duration - k6 duration.
+ * @returns {number} - Seconds.
+ */
+function parseDuration(duration) {
+    if (typeof duration === 'number') {
+        return duration;
+    }
+    const units = { ms: 0.001, s: 1, m: 60, h: 3600 };
+    let seconds = 0;
+    String(duration).replace(/(\d+(?:\.\d+)?)(ms|s|m|h)/g, (match, value, unit) => {
+        seconds += Number(value) * units[unit];
+        return match;
+    });
+    return seconds;
+}
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) {
+        return null;
+    }
+    const index = Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1);
+    return round(sorted[Math.max(0, index)]);
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = { aggregateTimeSeries, stageTargets, parseDuration };
@@ -0,0 +1,114 @@
+// k6 exit code when one or more thresholds were crossed
+const THRESHOLDS_FAILED_EXIT_CODE = 99;
+
+/**
+ * Builds a structured pass/fail verdict from a k6 summary.
+ * @param {Object} jsonData - k6 JSON data (`--summary-export` format).
+ * @param {Object} [options]
+ * @param {Function} [options.ignore] - `(metric, threshold) => boolean`, skips thresholds the tool injected itself.
+ * @returns {{ passed: boolean, thresholds: Array<Object>, checks: Array<Object> }} - Verdict per threshold and per check.
+ */
+function evaluateVerdict(jsonData, { ignore = () => false } = {}) {
+    const thresholds = [];
+    Object.entries(jsonData.metrics || {}).forEach(([metric, value]) => {
+        Object.entries(value.thresholds || {}).forEach(([threshold, state]) => {
+            if (ignore(metric, threshold)) {
+                return;
+            }
+            // --summary-export stores `true` for a crossed threshold; handleSummary data uses `{ ok }`
+            const passed = typeof state === 'object' ? state.ok !== false : !state;
+            thresholds.push({ metric, threshold, passed });
+        });
+    });
+
+    const checks = collectChecks(jsonData.root_group).map(check => ({
+        name: check.name,
+        path: check.path,
+        passes: check.passes,
+        fails: check.fails,
+        passed: check.fails === 0
+    }));
+
+    return {
+        passed: thresholds.every(threshold => threshold.passed),
+        thresholds,
+        checks
+    };
+}
+
+/**
+ * Flattens the checks of a k6 group and all of its sub-groups.
+ * @param {Object} group - k6 group from the summary.
+ * @returns {Array<Object>} - Checks with `name`, `path`, `passes` and `fails`.
+ */
+function collectChecks(group) {
+    if (!group) {
+        return [];
+    }
+    const checks = Object.values(group.checks || {});
+    const groups = Object.values(group.groups || {});
+    return checks.concat(...groups.map(collectChecks));
+}
+
+/**
+ * Renders a verdict as JUnit XML so CI servers show every threshold and check as a test case.
+ * @param {Object} verdict - Verdict from `evaluateVerdict`.
+ * @param {Object} [options]
+ * @param {string} [options.name='k6 performance test'] - Name of the test run.
+ * @param {Object} [options.baseline] - Baseline comparison, added as its own suite.
+ * @returns {string} - JUnit XML document.
+ */
+function toJUnitXml(verdict, { name = 'k6 performance test', baseline = null } = {}) {
+    const suites = [
+        {
+            name: 'thresholds',
+            cases: verdict.thresholds.map(threshold => ({
+                name: `${threshold.metric}: ${threshold.threshold}`,
+                failure: threshold.passed ? null : `Threshold "${threshold.threshold}" on ${threshold.metric} was crossed`
+            }))
+        },
+        {
+            name: 'checks',
+            cases: verdict.checks.map(check => ({
+                name: check.name,
+                failure: check.passed ? null : `${check.fails} of ${check.passes + check.fails} checks failed`
+            }))
+        }
+    ];
+
+    if (baseline) {
+        suites.push({
+            name: 'baseline',
+            cases: baseline.comparisons.map(comparison => ({
+                name: comparison.key,
+                failure: comparison.regression
+                    ? `Regressed from ${comparison.baseline.toFixed(2)} to ${comparison.current.toFixed(2)} ${comparison.unit} (tolerance ${comparison.tolerance}${comparison.toleranceType === 'absolute' ? ' pp' : '%'})`
+                    : null
+            }))
+        });
+    }
+
+    const totalTests = suites.reduce((sum, suite) => sum + suite.cases.length, 0);
+    const totalFailures = suites.reduce((sum, suite) => sum + suite.cases.filter(testCase => testCase.failure).length, 0);
+
+    const suitesXml = suites.map(suite => {
+        const failures = suite.cases.filter(testCase => testCase.failure).length;
+        const cases = suite.cases.map(testCase => testCase.failure
+            ? `    <testcase classname="${escapeXml(`${name}.${suite.name}`)}" name="${escapeXml(testCase.name)}">\n      <failure message="${escapeXml(testCase.failure)}"/>\n    </testcase>`
+            : `    <testcase classname="${escapeXml(`${name}.${suite.name}`)}" name="${escapeXml(testCase.name)}"/>`).join('\n');
+        return `  <testsuite name="${escapeXml(`${name} ${suite.name}`)}" tests="${suite.cases.length}" failures="${failures}">\n${cases}\n  </testsuite>`;
+    }).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="${escapeXml(name)}" tests="${totalTests}" failures="${totalFailures}">\n${suitesXml}\n</testsuites>\n`;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+module.exports = { THRESHOLDS_FAILED_EXIT_CODE, evaluateVerdict, toJUnitXml };
@@ -1,7 +1,51 @@
+const crypto = require('crypto');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { spawnSync } = require('child_process');
-const axios = require('axios');
+const { normalizeDataConfig, loadDataset, generateRowSelectionCode } = require('./lib/dataset');
+const { loadTestPlan } = require('./lib/testplan');
+const { normalizeBaselineConfig, loadBaseline, compareToBaseline } = require('./lib/baseline');
+const { THRESHOLDS_FAILED_EXIT_CODE, evaluateVerdict, toJUnitXml } = require('./lib/verdict');
+const { AI_PROVIDERS, OFFLINE_PROVIDER, validateAIConfig } = require('./lib/aiproviders');
+const { analyzeMetrics, renderFindingsTable } = require('./lib/analyzer');
+const { requestFindings } = require('./lib/aianalysis');
+const { inlineChartJsScript } = require('./lib/charts');
+const { aggregateTimeSeries, stageTargets } = require('./lib/timeseries');
+const { runK6 } = require('./lib/runner');
+const {
+    MEASURED_TAGS,
+    validateAuth,
+    collectOAuthConfigs,
+    generateAuthCode,
+    generateOAuthCode,
+    withMeasuredTrafficThresholds,
+    withoutTokenRequests
+} = require('./lib/auth');
+const {
+    validateRequestType,
+    toGraphQLHttpRequest,
+    generateProtocolSetup,
+    generateWebSocketCode,
+    generateGrpcCode,
+    generateDefaultChecks
+} = require('./lib/protocols');
+const { ASSERTION_HELPERS, validateAssertions, generateAssertionChecks, summarizeAssertions } = require('./lib/assertions');
+const { formatScript } = require('./lib/scriptformat');
+const { ARRIVAL_RATE_EXECUTORS, applyProfile, describeProfile, arrivalRatePacing } = require('./lib/profiles');
+const { normalizeReports, writeReports, buildResults, testName } = require('./lib/reporters');
+const { normalizeHistoryConfig, recordRun } = require('./lib/history');
+const { validateKpiOptions, generateApdexCode, deriveKpis } = require('./lib/kpis');
+const { createRedactor } = require('./lib/redact');
+const { escapeHtml, safeJson, sanitizeHtml } = require('./lib/html');
+const {
+    selectEnvironment,
+    applyEnvironment,
+    checkCredentials,
+    enforceSafetyCaps,
+    generateCredentialsCode
+} = require('./lib/environments');
+const { normalizeOutputs, buildOutputArgs, describeOutput } = require('./lib/outputs');
+const { version } = require('./package.json');
 
 /**
  * Executes a K6 performance test dynamically, generates test reports, and integrates AI-based analysis.  
@@ -13,7 +57,7 @@ const axios = require('axios');
  * 2. **Executes the K6 test**: Runs the generated script and collects performance metrics.
  * 3. **Saves performance results**: Stores detailed JSON reports if `detailedReportjson` is specified.
  * 4. **Performs AI analysis**: Sends test results to an AI service for further insights.
- * 5. **Generates an AI-based HTML report**: Processes AI analysis and saves a structured report in `reportPath`.
+ * 5. **Generates an HTML report**: Saves a self-contained report in `htmlReport` or `aireport.reportPath`, with the AI analysis when `aireport` is set.
  *
  * ---
  * 📌 **Note:**  
@@ -24,9 +68,16 @@ const axios = require('axios');
  /**
  * Executes a comprehensive performance test using k6 with optional AI analysis reporting
  * 
- * @param {Object} params - Configuration object containing test parameters
+ * @param {Object|string} params - Configuration object containing test parameters, or the path to a
+ *   YAML/JSON test-plan file with the same shape (`${ENV_VAR}` references are interpolated)
  * @param {Object} params.request - HTTP request configuration
- * @param {string} params.request.url - Target URL for the performance test
+ * @param {string} params.request.url - Target URL for the performance test (`host:port` for gRPC)
+ * @param {string} [params.request.type='http'] - Request type: http|graphql|websocket|grpc.
+ *   `graphql`: `query`, `variables`, `operationName` (sent as a POST; responses with `errors` fail a check).
+ *   `websocket`: `messages` (`[{ send, expect: { contains | matches } }]`, each `expect` waits for a matching reply)
+ *   and `duration` (how long the session is held, default '10s').
+ *   `grpc`: `proto` (local .proto file), `importPaths`, `method` ('package.Service/Method'), `message`,
+ *   `metadata` and `plaintext` (default true).
  * @param {string} [params.request.method='GET'] - HTTP method (GET|POST|PUT|DELETE|PATCH)
  * @param {Object} [params.request.body] - Request payload as JSON-serializable object
  * @param {string} [params.request.json] - Raw JSON string payload (alternative to body)
@@ -36,23 +87,118 @@ const axios = require('axios');
  * @param {Object} [params.request.params] - URL query parameters
  * @param {Object} [params.request.cookies] - HTTP cookies
  * @param {string} [params.request.timeout] - Request timeout (e.g., '30s')
+ * @param {Object} [params.request.auth] - Authentication (optional):
+ *   `{ type: 'basic', username, password }`, `{ type: 'bearer', token }`,
+ *   `{ type: 'apikey', name, value, in: 'header'|'query' }` or
+ *   `{ type: 'oauth2', tokenUrl, clientId, clientSecret, grant: 'client_credentials'|'password', username, password,
+ *   scope, audience, per: 'test'|'vu', clientAuth: 'body'|'basic', refreshBefore }`.
+ *   OAuth2 tokens are fetched in `setup()` (`per: 'test'`) or by each VU, and refreshed `refreshBefore` seconds
+ *   (default 30) before they expire. Token requests are tagged `auth: token` and timed in `auth_token_duration`.
  * 
  * @param {Object} params.options - k6 load test configuration
  * @param {number} [params.options.vus] - Virtual users count
  * @param {string} [params.options.duration] - Test duration (e.g., '5m')
  * @param {Array} [params.options.stages] - Ramping configuration
  * @param {Object} [params.options.thresholds] - Performance thresholds
+ * @param {string|Object} [params.profile] - Load-profile preset that expands into a k6 scenario, instead of
+ *   `options.vus`/`duration`/`stages`/`scenarios` (optional). A name (smoke|load|stress|spike|soak|breakpoint) or
+ *   `{ type, vus | rate, peak, duration, rampUp, rampDown, maxVus }`. `vus` runs a closed model of looping VUs;
+ *   `rate` (iterations per second) runs an open model with arrival-rate executors, where iterations do not
+ *   sleep `thinkTime`. `breakpoint` ramps the rate up to `peak` over `duration`.
+ * 
+ * @param {string} [params.htmlReport] - Path to save the self-contained HTML report (optional). Without `aireport`
+ *   the report has no AI section.
  * 
  * @param {Object} [params.aireport] - AI reporting configuration (optional)
- * @param {string} params.aireport.reportPath - Path to save HTML report
- * @param {string} params.aireport.AiUrl - AI service endpoint URL
- * @param {string} params.aireport.apikey - API key for AI service
+ * @param {string} params.aireport.reportPath - Path to save HTML report (optional when `htmlReport` is set)
+ * @param {string} [params.aireport.provider='azure'] - AI provider: azure|openai|anthropic|local, or `offline` for the
+ *   built-in rule-based analysis. The built-in analysis is also used when the AI request fails.
+ * @param {string} params.aireport.AiUrl - AI service endpoint URL (defaults to the provider's public endpoint)
+ * @param {string} params.aireport.apikey - API key for AI service (optional for `local`)
+ * @param {string} [params.aireport.model] - Model name (required for openai, anthropic and local)
+ * @param {number} [params.aireport.timeout=60000] - Request timeout in milliseconds
+ * @param {number} [params.aireport.retries=2] - Retries with exponential backoff on timeouts, 429 and 5xx
+ * 
+ * @param {Array<Object>} [params.steps] - Multi-step user journey, used instead of `params.request`
+ * @param {string} params.steps[].name - Step name, used to tag its requests, checks and metrics
+ * @param {Object} params.steps[].request - HTTP request configuration (same shape as `params.request`)
+ * @param {Object} [params.steps[].extract] - Values to capture from the response, keyed by variable name.
+ *   Each entry is `{ from: 'json', path }`, `{ from: 'regex', pattern, flags, group }` or `{ from: 'header', name }`.
+ *   Captured values are available to later steps as `{{variable}}` in URLs, headers, params and bodies.
+ * @param {string} [params.steps[].checks] - Custom k6 check conditions for this step
+ * @param {Array<Object>} [params.steps[].assertions] - Declarative assertions for this step (same shape as `params.assertions`)
+ * @param {number} [params.steps[].thinkTime] - Delay after this step in seconds
+ * @param {number} [params.steps[].weight=1] - Relative share of iterations for this step when `flow` is 'weighted'
+ * @param {string} [params.flow='sequence'] - `sequence` runs all steps in order on every iteration; `weighted`
+ *   runs one step per iteration, picked at random in proportion to `steps[].weight` (optional)
+ * 
+ * @param {string|Object} [params.data] - Dataset for data-driven tests (optional). A path or an object:
+ * @param {string} params.data.path - Local CSV (with header row) or JSON (array of objects) file
+ * @param {string} [params.data.strategy='sequential'] - Row selection: sequential|random|unique-per-vu|stop-when-exhausted.
+ *   Row columns fill `{{column}}` placeholders in request URLs, headers, params and bodies.
  * 
+ * @param {string|Object} [params.baseline] - Previous k6 summary to compare against (optional). A path or an object:
+ * @param {string} params.baseline.path - Path to the baseline summary JSON (e.g. an earlier `detailedReportjson`)
+ * @param {Object} [params.baseline.tolerances] - Allowed worsening per metric key, e.g. `{ 'http_req_duration.p(95)': 15 }`.
+ *   Latency and throughput tolerances are percentages; error and check rates are percentage points.
+ * 
+ * @param {boolean} [params.timeseries] - Capture per-sample metrics and aggregate them into time buckets (optional).
+ *   Captured by default when an HTML report is generated, where they feed the timeline charts; `true` always
+ *   adds them to the result as `timeseries`, `false` turns capture off.
  * @param {string} [params.detailedReportjson] - Path to save detailed JSON report (optional)
- * @param {string} [params.checks] - Custom k6 check conditions (optional)
+ * @param {string} [params.junitReport] - Path to save a JUnit XML file with one test case per threshold and check (optional)
+ * @param {Array<string|Object>} [params.reports] - Extra report files (optional): paths ending in .md, .csv or .json, or
+ *   `{ format: 'markdown'|'csv'|'json', path }`. Markdown is a summary for pull-request comments, CSV lists every
+ *   metric and JSON is a versioned results document (`schemaVersion`) with the test config, KPIs, verdict and findings.
+ * @param {string|Object} [params.history] - Record every run for trend dashboards (optional). A directory or an object:
+ * @param {string} params.history.dir - History directory; each run is saved as `<dir>/<test>/<timestamp>[-<label>].json`
+ *   with its config, k6 summary and KPIs
+ * @param {string} [params.history.label] - Label of the run, e.g. a git SHA or build number
+ * @param {string} [params.history.name] - Test name to group runs under (defaults to `params.name`)
+ * @param {number} [params.apdexT=500] - Apdex threshold T in ms: responses within T satisfy users, within 4T are
+ *   tolerated, slower or failed ones frustrate them (optional)
+ * @param {Object} [params.slos] - Service-level objectives, scored and graded A-F in the report (optional):
+ *   `{ p95, p90, med, avg, max }` (ms, upper bounds), `errorRate` (share, upper bound) and `rps`, `apdex`,
+ *   `checksPassRate` (lower bounds), e.g. `{ p95: 500, errorRate: 0.01, apdex: 0.9 }`
+ * @param {Object} [params.environments] - Named environment profiles, e.g. `{ dev: {...}, staging: {...} }` (optional).
+ *   Each one is `{ baseUrl, headers, credentials, maxVus, maxRps, description }`: relative request URLs resolve against
+ *   `baseUrl`, `headers` are added under each request's own headers and `credentials` maps `{{placeholder}}` names to
+ *   the environment variables holding the secrets, e.g. `{ token: 'STAGING_TOKEN' }`; k6 reads them at run time, so they
+ *   never appear in the script. A load shape above `maxVus` or an arrival rate above `maxRps` is rejected, and k6 is
+ *   limited to `maxRps` requests per second.
+ * @param {string} [params.environment] - Name of the environment to run against; required when `environments` is set
+ * @param {string} [params.name] - Test name used in reports (optional; defaults to the step names or the method and URL)
+ * @param {boolean|Object} [params.redact] - Redaction of everything that leaves the process: the AI payload, the HTML
+ *   report, exported scripts and saved JSON, JUnit, Markdown and CSV files (optional). On by default for credential
+ *   headers, token query parameters, secret fields, emails and card numbers; `false` turns it off, an object
+ *   `{ hosts, headers, queryParams, fields, emails, cardNumbers, patterns }` adjusts the rules (see `lib/redact`)
+ * @param {Object|Array<Object>} [params.outputs] - Stream live metrics while the test runs (optional), to
+ *   `{ type: 'influxdb', url: 'http://localhost:8086/k6' }`, `{ type: 'prometheus', url: 'http://localhost:9090/api/v1/write' }`
+ *   or `{ type: 'otlp', url: 'http://localhost:4318/v1/metrics' }` (see `lib/outputs` for credentials and settings).
+ *   Every sample is tagged with `testid` (the run ID), `test` and `environment`.
+ * @param {boolean} [params.failOnThresholds=true] - Reject when a k6 threshold is crossed (optional)
+ * @param {string} [params.checks] - Custom k6 check conditions (optional); prefer `assertions`
+ * @param {Array<Object>} [params.assertions] - Declarative response assertions (optional). Each one has a `type`
+ *   and an optional readable `name`:
+ *   `{ type: 'status', equals | in }`, `{ type: 'duration', max }` (ms),
+ *   `{ type: 'header', header, <operator> }`, `{ type: 'json', path, <operator> }`,
+ *   `{ type: 'body', contains | matches }` and `{ type: 'schema', schema }`.
+ *   Operators: equals, notEquals, gt, gte, lt, lte, contains, matches, oneOf, exists.
+ *   Pass/fail counts per assertion are returned as `assertions` and shown in the HTML report.
  * @param {number} [params.thinkTime=1] - Delay between requests in seconds (optional)
+ * @param {Function} [params.onProgress] - Called about once a second while k6 runs with
+ *   `{ elapsed, vus, requests, rps, iterations }` (optional)
+ * @param {AbortSignal} [params.signal] - Stops the test when aborted; the partial run is still reported
+ *   and the result is marked `aborted: true` (optional)
+ * @param {string} [params.exportScript] - Also write the generated k6 script, formatted and commented, to this path
+ *   so it can be inspected or run with plain `k6 run` (optional). The dataset is copied next to it.
+ * @param {boolean} [params.dryRun=false] - Validate the configuration and generate the script without starting k6;
+ *   resolves with `{ dryRun: true, script }` and, with `outputs`, the k6 `outputs: { args, env }` (optional)
  * 
- * @returns {Promise<Object>} Resolves with test results including metrics
+ * @returns {Promise<Object>} Resolves with test results including metrics, the `runId`, the threshold/check `verdict`,
+ *   derived `kpis` (duration, throughput, error rate, Apdex, SLO scores), per-assertion counts, the load `profile`
+ *   and a `baseline` comparison when requested. Rejects with an error carrying `verdict` and `result` when
+ *   thresholds are crossed (unless `failOnThresholds` is false or the run was aborted).
  * 
  * @example
  * // Basic GET test
@@ -76,132 +222,725 @@ const axios = require('axios');
  *     apikey: 'sk-...'
  *   }
  * });
+ * 
+ * @example
+ * // Declarative test plan kept next to the service
+ * await runPerformanceTest('./perf/checkout.plan.yaml');
+ * 
+ * @example
+ * // Login, then reuse the token in a follow-up request
+ * await runPerformanceTest({
+ *   steps: [
+ *     {
+ *       name: 'login',
+ *       request: { method: 'POST', url: 'https://api.example.com/login', body: { username: 'test', password: 'test123' } },
+ *       extract: { token: { from: 'json', path: 'access_token' } }
+ *     },
+ *     {
+ *       name: 'list items',
+ *       request: { url: 'https://api.example.com/items', headers: { Authorization: 'Bearer {{token}}' } }
+ *     }
+ *   ],
+ *   options: { vus: 10, duration: '1m' }
+ * });
  */
 
 async function runPerformanceTest(params) {
+    let runDir = null;
     try {
+        if (typeof params === 'string') {
+            params = loadTestPlan(params);
+        }
+
+        // The selected environment fills in base URLs and default headers before the requests are validated
+        const environment = params.environments || params.environment
+            ? selectEnvironment(params.environments, params.environment)
+            : null;
+        if (environment) {
+            params = applyEnvironment(params, environment);
+        }
+
         // Destructure with default values
         const { 
             request, 
             options, 
+            htmlReport = null,
             aireport = null, 
             detailedReportjson = null,
+            junitReport = null,
+            failOnThresholds = true,
             checks = '',
-            thinkTime = 1 
+            thinkTime = 1,
+            onProgress,
+            signal
         } = params;
 
         // Validate required parameters
-        if (!request || !request.url) {
+        if (params.flow && !['sequence', 'weighted'].includes(params.flow)) {
+            throw new Error(`Unknown flow "${params.flow}" (use 'sequence' or 'weighted')`);
+        }
+        if (params.flow === 'weighted' && !params.steps) {
+            throw new Error("`flow: 'weighted'` needs `steps`");
+        }
+        if (params.steps) {
+            validateSteps(params.steps);
+        } else if (!request || !request.url) {
             throw new Error('Missing required request configuration');
+        } else {
+            validateRequestType(request);
+            validateProtocolFeatures(request, params);
+            if (request.auth) {
+                validateAuth(request.auth);
+            }
+            if (params.assertions) {
+                validateAssertions(params.assertions);
+            }
         }
 
+        validateKpiOptions(params.apdexT, params.slos);
+        const profiledOptions = params.profile ? applyProfile(params.profile, options) : options;
+        const testOptions = environment
+            ? enforceSafetyCaps(profiledOptions, environment, params.flow === 'weighted' ? 1 : getSteps(params).length)
+            : profiledOptions;
+        const profile = params.profile ? describeProfile(params.profile) : null;
+        const reports = params.reports ? normalizeReports(params.reports) : [];
+        const historyConfig = params.history ? normalizeHistoryConfig(params.history) : null;
+        const redactor = createRedactor(params.redact);
+        const outputs = params.outputs ? normalizeOutputs(params.outputs) : [];
+        const runId = crypto.randomUUID();
+
         // Validate AI config if provided
         if (aireport) {
-            if (!aireport.reportPath || !aireport.AiUrl || !aireport.apikey) {
-                console.error('Invalid AI report configuration - missing required fields');
-                return;
+            const problems = [...(aireport.reportPath || htmlReport ? [] : ['reportPath']), ...validateAIConfig(aireport)];
+            if (problems.length > 0) {
+                throw new Error(`Invalid AI report configuration - missing or invalid: ${problems.join(', ')}`);
             }
         }
-        let tempScriptPath, jsonReportPath;
+
+        // Load the dataset and baseline up front so a bad file fails before k6 starts
+        const dataRows = params.data ? loadDataset(normalizeDataConfig(params.data)) : null;
+        const baselineConfig = params.baseline ? normalizeBaselineConfig(params.baseline) : null;
+        const baselineSummary = baselineConfig ? loadBaseline(baselineConfig.path) : null;
     
         // Generate k6 script
-        const k6Script = generateK6Script(params);
+        const scriptParams = { ...params, options: testOptions, checks, thinkTime };
+        const k6Script = formatScript(generateK6Script(scriptParams, { environment }));
+
+        if (params.exportScript) {
+            exportK6Script(scriptParams, params.exportScript, dataRows, redactor, environment);
+        }
+
+        // Live outputs get tags that tell runs apart on shared dashboards
+        const outputConfig = outputs.length
+            ? buildOutputArgs(outputs, { testid: runId, test: testName(params), environment: environment?.name })
+            : null;
+
+        if (params.dryRun) {
+            console.log('Dry run: the configuration is valid, k6 was not started');
+            if (outputConfig) {
+                console.log(`Metrics would stream to ${outputs.map(describeOutput).join(', ')}`);
+            }
+            return {
+                dryRun: true,
+                script: k6Script,
+                ...(params.exportScript ? { exportScript: params.exportScript } : {}),
+                ...(outputConfig ? { outputs: outputConfig } : {})
+            };
+        }
+
+        if (environment) {
+            checkCredentials(environment);
+            console.log(`Environment: ${environment.name}${environment.baseUrl ? ` (${redactor.redactText(environment.baseUrl)})` : ''}`);
+        }
+
+        // Every run gets its own working directory so concurrent runs never share files
+        runDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nilgiri-'));
+        const tempScriptPath = path.join(runDir, SCRIPT_FILE);
+        const jsonReportPath = path.join(runDir, SUMMARY_FILE);
+        const samplesPath = path.join(runDir, SAMPLES_FILE);
 
-        // Create temporary files
-        tempScriptPath = path.join(__dirname, 'temp_k6_script.js');
-        jsonReportPath = path.join(__dirname, 'temp_report.json');
-        
         fs.writeFileSync(tempScriptPath, k6Script);
+        if (dataRows) {
+            fs.writeFileSync(path.join(runDir, DATA_FILE), JSON.stringify(dataRows));
+        }
+
+        // Per-sample output feeds the timeline charts
+        const reportPath = htmlReport || aireport?.reportPath;
+        const captureSamples = params.timeseries ?? !!reportPath;
 
         // Execute k6 test
-        const result = spawnSync('k6', ['run', tempScriptPath, '--summary-export', jsonReportPath], { 
-            stdio: 'inherit' 
-        });
+        const k6Args = ['run', tempScriptPath, '--summary-export', jsonReportPath];
+        if (captureSamples) {
+            k6Args.push('--out', `json=${samplesPath}`);
+        }
+        if (outputConfig) {
+            k6Args.push(...outputConfig.args);
+            console.log(`Streaming metrics of run ${runId} to ${outputs.map(describeOutput).join(', ')}`);
+        }
+        const startedAt = Date.now();
+        const result = await runK6(k6Args, { cwd: runDir, signal, onProgress, env: outputConfig?.env });
+        const wallClockMs = Date.now() - startedAt;
 
-        if (result.error) {
-            throw result.error;
+        if (result.aborted) {
+            console.warn('Performance test aborted, reporting on the partial run');
+        }
+        if (!fs.existsSync(jsonReportPath)) {
+            throw new Error(`k6 exited with code ${result.status} without producing a summary`);
+        }
+        if (result.status !== 0 && result.status !== THRESHOLDS_FAILED_EXIT_CODE && !result.aborted) {
+            console.warn(`k6 exited with code ${result.status}`);
         }
 
         // Process results
-        const jsonData = JSON.parse(fs.readFileSync(jsonReportPath, 'utf8'));
+        const jsonData = withoutTokenRequests(JSON.parse(fs.readFileSync(jsonReportPath, 'utf8')), testOptions?.thresholds);
+        const redactedData = redactor.redact(jsonData);
+        const verdict = evaluateVerdict(jsonData, { ignore: isStepThreshold });
+        const assertions = summarizeAssertions(getSteps(params), verdict.checks);
+        const kpis = deriveKpis(jsonData, { apdexT: params.apdexT, slos: params.slos, wallClockMs });
+        if (kpis.slo) {
+            const score = kpis.slo.score !== null ? `${kpis.slo.score.toFixed(1)}/100, grade ${kpis.slo.grade}` : 'not measured';
+            console.log(`SLO score: ${score} (${kpis.slo.passed ? 'all objectives met' : 'objectives missed'})`);
+        }
 
         // Save detailed report if requested
         if (detailedReportjson) {
-            fs.writeFileSync(detailedReportjson, JSON.stringify(jsonData, null, 2));
+            fs.writeFileSync(detailedReportjson, JSON.stringify(redactedData, null, 2));
             console.log(`Detailed JSON report saved: ${detailedReportjson}`);
         }
 
-        // Generate AI report if configured
-        if (aireport) {
+        // Compare with the baseline run if configured
+        let baseline = null;
+        if (baselineSummary) {
+            baseline = { path: baselineConfig.path, ...compareToBaseline(jsonData, baselineSummary, baselineConfig.tolerances) };
+            if (baseline.passed) {
+                console.log(`No regressions against baseline: ${baselineConfig.path}`);
+            } else {
+                console.warn(`Regressions against baseline ${baselineConfig.path}: ${baseline.regressions.join(', ')}`);
+            }
+        }
+
+        if (junitReport) {
+            fs.writeFileSync(junitReport, toJUnitXml(redactor.redact(verdict), { name: redactor.redactText(testName(params)), baseline }));
+            console.log(`JUnit XML report saved: ${junitReport}`);
+        }
+
+        let timeseries = null;
+        if (captureSamples && fs.existsSync(samplesPath)) {
             try {
-                const aiAnalysis = await getAIAnalysis(jsonData, aireport.AiUrl, aireport.apikey);
-                generateCustomHtmlReport(jsonData, aiAnalysis, aireport.reportPath);
+                timeseries = await aggregateTimeSeries(samplesPath);
             } catch (error) {
-                console.error('AI report generation failed:', error.message);
+                console.warn('Could not aggregate time-series metrics:', error.message);
             }
         }
 
-        return jsonData;
+        // Generate the HTML report, with AI analysis if configured
+        let analysis = null;
+        if (reportPath) {
+            try {
+                let aiAudit = null;
+                if (aireport) {
+                    const prompts = [];
+                    if (aireport.provider !== OFFLINE_PROVIDER) {
+                        const provider = aireport.provider || 'azure';
+                        aiAudit = {
+                            provider,
+                            model: aireport.model || null,
+                            url: redactor.redactText(aireport.AiUrl || AI_PROVIDERS[provider]?.defaultUrl || ''),
+                            rules: redactor.rules,
+                            prompts
+                        };
+                    }
+                    try {
+                        const findings = await getAIAnalysis(jsonData, aireport.AiUrl, aireport.apikey, aireport, {
+                            params: scriptParams,
+                            profile,
+                            kpis,
+                            redact: params.redact,
+                            onPrompt: prompt => prompts.push(prompt)
+                        });
+                        analysis = { source: aireport.provider === OFFLINE_PROVIDER ? 'offline' : 'ai', findings };
+                    } catch (error) {
+                        console.warn('AI analysis unavailable, using the built-in analysis instead');
+                        analysis = { source: 'offline', findings: analyzeMetrics(jsonData) };
+                    }
+                }
+                generateCustomHtmlReport(redactedData, analysis?.findings, reportPath, {
+                    baseline,
+                    verdict: redactor.redact(verdict),
+                    assertions: redactor.redact(assertions),
+                    analysisSource: analysis?.source,
+                    timeseries,
+                    stages: stageTargets(testOptions),
+                    profile,
+                    environment: environment && {
+                        name: environment.name,
+                        baseUrl: environment.baseUrl && redactor.redactText(environment.baseUrl),
+                        description: environment.description
+                    },
+                    kpis,
+                    aiAudit
+                });
+            } catch (error) {
+                console.error('HTML report generation failed:', error.message);
+            }
+        }
+
+        const results = reports.length || historyConfig ? redactor.redact(buildResults(jsonData, {
+            params: scriptParams,
+            verdict,
+            assertions,
+            baseline,
+            profile,
+            analysis,
+            kpis,
+            runId,
+            aborted: result.aborted
+        })) : null;
+        if (reports.length) {
+            try {
+                writeReports(reports, results);
+            } catch (error) {
+                console.error('Report generation failed:', error.message);
+            }
+        }
+        if (historyConfig) {
+            try {
+                console.log(`Run recorded in history: ${recordRun(historyConfig, results, redactedData)}`);
+            } catch (error) {
+                console.error('Recording the run in history failed:', error.message);
+            }
+        }
+
+        const testResult = {
+            ...jsonData,
+            runId,
+            verdict,
+            kpis,
+            ...(assertions.length ? { assertions } : {}),
+            ...(result.aborted ? { aborted: true } : {}),
+            ...(profile ? { profile } : {}),
+            ...(baseline ? { baseline } : {}),
+            ...(params.timeseries && timeseries ? { timeseries } : {})
+        };
+
+        if (!verdict.passed && failOnThresholds && !result.aborted) {
+            const crossed = verdict.thresholds.filter(threshold => !threshold.passed);
+            const error = new Error(`Thresholds crossed: ${crossed.map(threshold => `${threshold.metric} ${threshold.threshold}`).join(', ')}`);
+            error.verdict = verdict;
+            error.result = testResult;
+            throw error;
+        }
+
+        return testResult;
     } catch (error) {
         console.error('Performance test failed:', error.message);
         throw error;
     } finally {
         // Cleanup temporary files
-        cleanupTempFiles();
+        cleanupTempFiles(runDir);
+    }
+}
+
+function validateSteps(steps) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+        throw new Error('`steps` must be a non-empty array');
+    }
+
+    const names = new Set();
+    steps.forEach((step, index) => {
+        if (!step || !step.name) {
+            throw new Error(`Step ${index + 1} is missing a name`);
+        }
+        if (names.has(step.name)) {
+            throw new Error(`Duplicate step name: ${step.name}`);
+        }
+        names.add(step.name);
+
+        if (!step.request || !step.request.url) {
+            throw new Error(`Step "${step.name}" is missing required request configuration`);
+        }
+
+        Object.entries(step.extract || {}).forEach(([variable, rule]) => {
+            if (!['json', 'regex', 'header'].includes(rule?.from)) {
+                throw new Error(`Step "${step.name}": extraction "${variable}" must use from 'json', 'regex' or 'header'`);
+            }
+            if (rule.from === 'regex') {
+                validateRegexExtraction(rule, `Step "${step.name}": extraction "${variable}"`);
+            }
+        });
+
+        if (step.weight !== undefined && !(typeof step.weight === 'number' && step.weight > 0)) {
+            throw new Error(`Step "${step.name}": weight must be a positive number`);
+        }
+        validateRequestType(step.request, `Step "${step.name}"`);
+        validateProtocolFeatures(step.request, step, `Step "${step.name}"`);
+        if (step.request.auth) {
+            validateAuth(step.request.auth, `Step "${step.name}"`);
+        }
+        if (step.assertions) {
+            validateAssertions(step.assertions, `Step "${step.name}"`);
+        }
+    });
+}
+
+// The pattern is compiled here so a bad expression fails before k6 starts
+function validateRegexExtraction(rule, label) {
+    if (typeof rule.pattern !== 'string') {
+        throw new Error(`${label}: \`pattern\` must be a string`);
+    }
+    let regex;
+    try {
+        regex = new RegExp(rule.pattern, rule.flags || '');
+    } catch (error) {
+        throw new Error(`${label}: invalid regex - ${error.message}`);
+    }
+
+    const group = rule.group ?? 1;
+    // An empty alternative always matches, which reveals the number and names of the groups
+    const match = new RegExp(`${regex.source}|`, regex.flags.replace(/[gy]/g, '')).exec('');
+    const valid = Number.isInteger(group)
+        ? group >= 0 && group < match.length
+        : typeof group === 'string' && Object.prototype.hasOwnProperty.call(match.groups || {}, group);
+    if (!valid) {
+        throw new Error(`${label}: \`group\` ${JSON.stringify(group)} is not a capture group of the pattern (use its index or name)`);
     }
 }
 
-function generateK6Script(params) {
+// WebSocket sessions and gRPC calls have no HTTP response to extract from or assert on
+function validateProtocolFeatures(request, step, label = 'request') {
+    if (!['websocket', 'grpc'].includes(request.type)) {
+        return;
+    }
+    if (step.extract || step.assertions) {
+        throw new Error(`${label}: \`extract\` and \`assertions\` are only supported for http and graphql requests`);
+    }
+}
+
+/**
+ * Normalizes the test into a list of steps. A plain `params.request` becomes a single untagged step.
+ * @param {Object} params - Test configuration.
+ * @returns {Array<Object>} - Steps to execute in order on every iteration.
+ */
+function getSteps(params) {
+    if (params.steps) {
+        return params.steps;
+    }
+    return [{ request: params.request, checks: params.checks, assertions: params.assertions }];
+}
+
+// Sub-metric thresholds injected per step; they never fail and only exist to surface the sub-metric.
+const STEP_SUBMETRICS = {
+    http_req_duration: 'max>=0',
+    http_reqs: 'count>=0',
+    http_req_failed: 'rate>=0'
+};
+
+/**
+ * Adds always-passing thresholds on the per-step sub-metrics so that k6 reports
+ * latency, request count and failure rate for every step separately in the summary.
+ * @param {Object} options - k6 options supplied by the user.
+ * @param {Array<Object>} steps - Steps of the test.
+ * @returns {Object} - k6 options including the step sub-metric thresholds.
+ */
+function withStepThresholds(options, steps) {
+    // The sub-metrics are HTTP metrics, so WebSocket and gRPC steps have none
+    const named = steps.filter(step => step.name && isHttpRequest(step.request));
+    if (named.length === 0) {
+        return options;
+    }
+
+    const thresholds = { ...(options?.thresholds || {}) };
+    named.forEach(({ name }) => {
+        Object.entries(STEP_SUBMETRICS).forEach(([metric, expression]) => {
+            const key = `${metric}{step:${stepTag(name)}}`;
+            if (!thresholds[key]) {
+                thresholds[key] = [expression];
+            }
+        });
+    });
+
+    return { ...options, thresholds };
+}
+
+// Files inside each run's temporary working directory
+const SCRIPT_FILE = 'script.js';
+const SUMMARY_FILE = 'summary.json';
+// Dataset rows are written next to the generated script and loaded once per test through a SharedArray
+const DATA_FILE = 'data.json';
+// k6 gzips its per-sample JSON output when the file name ends in .gz
+const SAMPLES_FILE = 'samples.json.gz';
+
+// GraphQL requests are sent over HTTP too
+function isHttpRequest(request) {
+    return ['http', 'graphql'].includes(request.type || 'http');
+}
+
+// k6 splits sub-metric selectors such as http_req_duration{step:<name>} on these characters, so step tags
+// percent-encode them (and `%` itself, to keep the encoding reversible)
+function stepTag(name) {
+    return String(name).replace(/[%,:{}]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function stepName(tag) {
+    return tag.replace(/%(25|2C|3A|7B|7D)/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+function isStepThreshold(metric, threshold) {
+    return /\{step:.+\}$/.test(metric) && Object.values(STEP_SUBMETRICS).includes(threshold);
+}
+
+/**
+ * Generates the k6 script for a test.
+ * @param {Object} params - Validated `runPerformanceTest` parameters.
+ * @param {Object} [context]
+ * @param {string} [context.dataFile] - Dataset file name, relative to the script.
+ * @param {Object} [context.environment] - Environment from `selectEnvironment`, for its credentials.
+ * @returns {string} - k6 script.
+ */
+function generateK6Script(params, { dataFile = DATA_FILE, environment = null } = {}) {
+    const steps = getSteps(params);
+    const hasBinary = steps.some(step => step.request.binary);
+    const hasAssertions = steps.some(step => step.assertions?.length);
+    const oauthConfigs = collectOAuthConfigs(steps);
+    const hasBase64Auth = steps.some(step => ['basic', 'oauth2'].includes(step.request.auth?.type));
+    const encoding = [hasBinary ? 'b64decode' : null, hasBase64Auth ? 'b64encode' : null].filter(Boolean);
+    const protocols = generateProtocolSetup(steps);
+    const hasHttp = steps.some(step => isHttpRequest(step.request));
+    const metricClasses = [...new Set([
+        ...(oauthConfigs.length ? ['Trend'] : []),
+        ...(hasHttp ? ['Rate'] : []),
+        ...protocols.metrics
+    ])];
+    const data = params.data ? normalizeDataConfig(params.data) : null;
+    const credentialsCode = generateCredentialsCode(environment);
+    // Dataset columns take precedence over environment credentials of the same name
+    const initialVars = [credentialsCode ? '...credentials' : null, data ? '...row' : null].filter(Boolean);
+    const pacing = arrivalRatePacing(params.options);
+
     return `
         import http from 'k6/http';
-        ${params.request.binary ? "import { b64decode } from 'k6/encoding';" : ''}
+        ${encoding.length ? `import { ${encoding.join(', ')} } from 'k6/encoding';` : ''}
+        ${metricClasses.length ? `import { ${metricClasses.join(', ')} } from 'k6/metrics';` : ''}
+        ${protocols.imports.join('\n        ')}
+        ${data || pacing === 'some' ? "import exec from 'k6/execution';" : ''}
+        ${data ? "import { SharedArray } from 'k6/data';" : ''}
         import { check, sleep } from 'k6';
 
-        export const options = ${JSON.stringify(params.options, null, 4)};
+        // Load profile and thresholds
+        export const options = ${JSON.stringify(oauthConfigs.length
+            ? withMeasuredTrafficThresholds(withStepThresholds(params.options, steps))
+            : withStepThresholds(params.options, steps), null, 4)};
+
+        ${data ? `// Dataset rows, loaded once and shared read-only by all VUs\n        const data = new SharedArray('data', () => JSON.parse(open('./${dataFile}')));` : ''}
+        ${credentialsCode}
+
+        // Replaces {{variable}} placeholders in strings, arrays and objects.
+        function render(value, vars) {
+            if (typeof value === 'string') {
+                return value.replace(/\\{\\{\\s*([\\w.-]+)\\s*\\}\\}/g, (match, key) => (vars[key] !== undefined ? String(vars[key]) : match));
+            }
+            if (Array.isArray(value)) {
+                return value.map(item => render(item, vars));
+            }
+            if (value && typeof value === 'object') {
+                const rendered = {};
+                Object.keys(value).forEach(key => { rendered[key] = render(value[key], vars); });
+                return rendered;
+            }
+            return value;
+        }
+
+        // Appends query parameters to a URL.
+        function withQuery(url, query) {
+            const pairs = Object.keys(query).map(key => encodeURIComponent(key) + '=' + encodeURIComponent(query[key]));
+            return pairs.length ? url + (url.includes('?') ? '&' : '?') + pairs.join('&') : url;
+        }
 
-        export default function() {
-            ${generateRequestCode(params.request)}
-            
-            check(res, {
-                'status was 2xx': (r) => r.status >= 200 && r.status < 300,
-                ${params.checks}
-            });
-            
-            sleep(${params.thinkTime});
+        function responseHeader(res, name) {
+            const key = Object.keys(res.headers).find(header => header.toLowerCase() === name.toLowerCase());
+            return key ? res.headers[key] : undefined;
+        }
+        ${hasAssertions ? ASSERTION_HELPERS : ''}
+        ${hasHttp ? generateApdexCode(params.apdexT) : ''}
+        ${protocols.code}
+        ${generateOAuthCode(oauthConfigs, credentialsCode ? '{ ...credentials }' : '{}')}
+
+        export default function(${oauthConfigs.length ? 'setupData' : ''}) {
+            ${data ? generateRowSelectionCode(data.strategy) : ''}
+            const vars = ${initialVars.length ? `{ ${initialVars.join(', ')} }` : '{}'};
+            ${params.flow === 'weighted'
+                ? generateWeightedStepsCode(steps, { oauthConfigs, grpcRequests: protocols.grpcRequests })
+                : steps.map(step => generateStepCode(step, { oauthConfigs, grpcRequests: protocols.grpcRequests })).join('\n')}
+
+            ${generateThinkTimeCode(pacing, params.thinkTime)}
         }
     `.trim();
 }
 
-function cleanupTempFiles() {
-    const tempFiles = [
-        path.join(__dirname, 'temp_k6_script.js'),
-        path.join(__dirname, 'temp_report.json')
-    ];
-    
-    tempFiles.forEach(file => {
-        try {
-            if (fs.existsSync(file)) {
-                fs.unlinkSync(file);
-                console.log(`Cleaned up temp file: ${file}`);
-            }
-        } catch (error) {
-            console.error(`Error deleting temp file ${file}:`, error.message);
-        }
+// Arrival-rate executors start iterations on schedule, so only VU-based scenarios pause between iterations
+function generateThinkTimeCode(pacing, thinkTime) {
+    switch (pacing) {
+        case 'all':
+            return '// Arrival-rate executors start iterations on schedule, so there is no pause between them';
+        case 'some':
+            return `// Only VU-based scenarios pause; arrival-rate executors start iterations on schedule
+            if (!${JSON.stringify(ARRIVAL_RATE_EXECUTORS)}.includes(exec.scenario.executor)) {
+                sleep(${thinkTime});
+            }`;
+        default:
+            return `sleep(${thinkTime});`;
+    }
+}
+
+/**
+ * Generates the k6 code for one step: the request, its checks, value extraction and optional think time.
+ * @param {Object} step - Step configuration.
+ * @param {Object} [context] - Test-wide state: `oauthConfigs` from `collectOAuthConfigs` and `grpcRequests`
+ *   from `generateProtocolSetup`.
+ * @returns {string} - k6 code block.
+ */
+function generateStepCode(step, context = {}) {
+    const prefix = step.name ? `[${step.name}] ` : '';
+    const extractions = Object.entries(step.extract || {});
+    const assertions = step.assertions || [];
+    // A status assertion replaces the default 2xx check
+    const hasStatusAssertion = assertions.some(assertion => assertion.type === 'status');
+
+    return `
+            ${step.name ? `// Step: ${step.name.replace(/\s+/g, ' ')}` : ''}
+            {
+                ${generateStepRequestCode(step.request, step.name ? { step: stepTag(step.name) } : null, context)}
+                ${isHttpRequest(step.request) ? 'recordApdex(res);' : ''}
+                ${extractions.map(([variable, rule]) => `vars[${JSON.stringify(variable)}] = ${generateExtractionCode(rule)};`).join('\n')}
+
+                check(res, {
+                    ${generateDefaultChecks(step.request, prefix, hasStatusAssertion)}
+                    ${generateAssertionChecks(assertions, prefix)}
+                    ${extractions.map(([variable]) => `${JSON.stringify(`${prefix}extracted ${variable}`)}: () => vars[${JSON.stringify(variable)}] !== undefined,`).join('\n')}
+                    ${step.checks || ''}
+                }${step.name ? `, ${JSON.stringify({ step: stepTag(step.name) })}` : ''});
+                ${step.thinkTime !== undefined ? `sleep(${step.thinkTime});` : ''}
+            }`;
+}
+
+/**
+ * Generates code that runs one step per iteration, picked at random in proportion to the step weights.
+ * @param {Array<Object>} steps - Steps of the test.
+ * @param {Object} context - Test-wide state passed on to `generateStepCode`.
+ * @returns {string} - k6 code.
+ */
+function generateWeightedStepsCode(steps, context) {
+    const weights = steps.map(step => step.weight ?? 1);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let cumulative = 0;
+    const branches = steps.map((step, index) => {
+        cumulative += weights[index];
+        const code = generateStepCode(step, context);
+        return index === steps.length - 1 ? `{${code}
+            }` : `if (pick < ${cumulative}) {${code}
+            }`;
     });
+    return `
+            const pick = Math.random() * ${total};
+            ${branches.join(' else ')}`;
+}
+
+function generateStepRequestCode(request, stepTags, context) {
+    // With OAuth2 the measured requests of every protocol are tagged apart from the token requests
+    const tags = context.oauthConfigs?.length ? { ...stepTags, ...MEASURED_TAGS } : stepTags;
+    switch (request.type) {
+        case 'graphql':
+            return `${generateRequestCode(toGraphQLHttpRequest(request), tags, context)}
+                graphqlErrors.add(hasGraphQLErrors(res));`;
+        case 'websocket':
+            return generateWebSocketCode(request, tags, generateAuthCode(request.auth, context.oauthConfigs || []));
+        case 'grpc':
+            return generateGrpcCode(request, context.grpcRequests.indexOf(request), tags);
+        default:
+            return generateRequestCode(request, tags, context);
+    }
+}
+
+function generateExtractionCode(rule) {
+    switch (rule.from) {
+        case 'json':
+            return `(() => { try { const value = res.json(${JSON.stringify(rule.path)}); return value === null ? undefined : value; } catch (e) { return undefined; } })()`;
+        case 'regex': {
+            const group = rule.group ?? 1;
+            const captured = typeof group === 'string' ? `(match.groups || {})[${JSON.stringify(group)}]` : `match[${JSON.stringify(group)}]`;
+            return `(() => { const match = new RegExp(${JSON.stringify(rule.pattern)}, ${JSON.stringify(rule.flags || '')}).exec(res.body || ''); return match ? ${captured} : undefined; })()`;
+        }
+        case 'header':
+            return `responseHeader(res, ${JSON.stringify(rule.name)})`;
+    }
+}
+
+/**
+ * Writes a standalone copy of the generated script that runs with plain `k6 run` and can be edited by hand.
+ * The dataset is written next to it as `<script name>.data.json`.
+ * @param {Object} params - Validated `runPerformanceTest` parameters.
+ * @param {string} scriptPath - Path of the exported script.
+ * @param {Array<Object>|null} dataRows - Dataset rows, if the test is data-driven.
+ * @param {Object} redactor - Redactor from `createRedactor`, applied to the configuration and the dataset.
+ * @param {Object} [environment] - Environment from `selectEnvironment`; its credentials stay environment variables.
+ */
+function exportK6Script(params, scriptPath, dataRows, redactor, environment = null) {
+    const dataFile = dataRows ? `${path.basename(scriptPath).replace(/\.[cm]?js$/i, '')}.data.json` : undefined;
+    const script = formatScript(generateK6Script(redactor.redact(params), { dataFile, environment }));
+    const credentialVariables = Object.values(environment?.credentials || {});
+    const steps = getSteps(params);
+
+    const notes = [
+        `k6 script exported by performancenilgiri ${version} on ${new Date().toISOString()}.`,
+        `Run it with: k6 run ${path.basename(scriptPath)}`,
+        ...(dataFile ? [`Test data is loaded from ./${dataFile}, which has to stay next to this script.`] : []),
+        ...(steps.some(step => step.request.type === 'grpc') ? ['gRPC .proto files are referenced by absolute path.'] : []),
+        ...(credentialVariables.length
+            ? [`Credentials of the "${environment.name}" environment are read from ${[...new Set(credentialVariables)].join(', ')}; pass them with k6 run -e NAME=value or export them.`]
+            : []),
+        ...(redactor.enabled
+            ? ['Credentials, tokens and personal data in the configuration are replaced with [REDACTED]; fill them in, or export with `redact: false`.']
+            : steps.some(step => step.request.auth) ? ['Credentials from the test configuration are written out in full; keep this file private.'] : []),
+        'The script does not depend on performancenilgiri and can be edited freely.'
+    ];
+
+    fs.mkdirSync(path.dirname(path.resolve(scriptPath)), { recursive: true });
+    fs.writeFileSync(scriptPath, `/**\n${notes.map(note => ` * ${note}`).join('\n')}\n */\n${script}`);
+    if (dataRows) {
+        // The dataset is the user's own test data, so it is copied as is unless `redact.datasets` asks otherwise
+        fs.writeFileSync(path.join(path.dirname(scriptPath), dataFile), JSON.stringify(redactor.datasets ? redactor.redact(dataRows) : dataRows, null, 2));
+    }
+    console.log(`k6 script exported: ${scriptPath}`);
+}
+
+function cleanupTempFiles(runDir) {
+    if (!runDir) {
+        return;
+    }
+    try {
+        fs.rmSync(runDir, { recursive: true, force: true });
+        console.log(`Cleaned up temp directory: ${runDir}`);
+    } catch (error) {
+        console.error(`Error deleting temp directory ${runDir}:`, error.message);
+    }
 }
-function generateRequestCode(request) {
+
+function generateRequestCode(request, tags = null, context = {}) {
     // Determine payload and content type
     let payloadCode = 'null';
-    let contentType = request.headers?.['Content-Type'];
+    // Recorded and imported requests often use a lower-case header name
+    const contentTypeHeader = Object.keys(request.headers || {}).find(name => name.toLowerCase() === 'content-type');
+    let contentType = contentTypeHeader ? request.headers[contentTypeHeader] : undefined;
     
     if (request.body) {
-        payloadCode = `JSON.stringify(${JSON.stringify(request.body)})`;
+        payloadCode = `JSON.stringify(render(${JSON.stringify(request.body)}, vars))`;
         contentType = contentType || 'application/json';
     } else if (request.json) {
-        payloadCode = `'${request.json.replace(/'/g, "\\'")}'`;
+        payloadCode = `render(${JSON.stringify(request.json)}, vars)`;
         contentType = contentType || 'application/json';
     } else if (request.formData) {
-        payloadCode = `'${new URLSearchParams(request.formData).toString()}'`;
+        // k6 form-encodes object payloads itself
+        payloadCode = `render(${JSON.stringify(request.formData)}, vars)`;
         contentType = contentType || 'application/x-www-form-urlencoded';
     } else if (request.binary) {
         payloadCode = `b64decode('${request.binary.toString('base64')}')`;
@@ -210,19 +949,25 @@ function generateRequestCode(request) {
 
     // Build headers
     const headers = {
-        ...(contentType ? { 'Content-Type': contentType } : {}),
+        ...(contentType && !contentTypeHeader ? { 'Content-Type': contentType } : {}),
         ...(request.headers || {})
     };
 
+    const auth = generateAuthCode(request.auth, context.oauthConfigs || []);
+    const query = request.params || auth.query ? { ...(request.params || {}), ...(auth.query || {}) } : null;
+
     return `
-        let res = http.${request.method?.toLowerCase() || 'get'}(
-            '${request.url}',
+        let res = http.request(
+            ${JSON.stringify((request.method || 'GET').toUpperCase())},
+            ${query
+                ? `withQuery(render(${JSON.stringify(request.url)}, vars), render(${JSON.stringify(query)}, vars))`
+                : `render(${JSON.stringify(request.url)}, vars)`},
             ${payloadCode},
             {
-                headers: ${JSON.stringify(headers)},
-                ${request.params ? `params: ${JSON.stringify(request.params)},` : ''}
-                ${request.cookies ? `cookies: ${JSON.stringify(request.cookies)},` : ''}
-                ${request.timeout ? `timeout: '${request.timeout}'` : ''}
+                headers: ${auth.headers ? `{ ...render(${JSON.stringify(headers)}, vars), ${auth.headers} }` : `render(${JSON.stringify(headers)}, vars)`},
+                ${request.cookies ? `cookies: render(${JSON.stringify(request.cookies)}, vars),` : ''}
+                ${request.timeout ? `timeout: '${request.timeout}',` : ''}
+                ${tags ? `tags: ${JSON.stringify(tags)},` : ''}
             }
         );`;
 }
@@ -231,102 +976,27 @@ function generateRequestCode(request) {
 
 /**
  * Analyzes the k6 performance data using an AI API.
+ * The AI gets every metric with all of its stats, the thresholds and, when given, the request and load configuration,
+ * and replies with findings in a fixed JSON schema (see `lib/aianalysis`). Malformed replies are re-requested.
  * @param {Object} jsonData - k6 JSON data.
  * @param {string} AiUrl - AI API URL.
  * @param {string} apiKey - The API key for the AI service.
- * @returns {string} - AI analysis result.
+ * @param {Object} [aiConfig] - Provider settings (`provider`, `model`, `timeout`, `retries`, `formatRetries`, ...), see `lib/aiproviders`.
+ *   With `provider: 'offline'` the built-in rule-based analysis is returned without any network call.
+ * @param {Object} [context] - `{ params, profile, kpis }` of the run, sent along with the metrics.
+ * @returns {Promise<Array<Object>>} - Findings with `metric`, `value`, `severity`, `issue`, `recommendation`, `fix` and `explanation`.
+ * @throws {Error} When the AI service cannot be reached or no reply matches the findings schema.
  */
-async function getAIAnalysis(jsonData, AiUrl, apiKey) {
-    // Convert JSON data into a structured table for the prompt
-    const tableRows = Object.keys(jsonData.metrics).map(key => {
-        const metric = jsonData.metrics[key];
-        return `
-  <tr>
-    <td>${key}</td>
-    <td>${metric.value || metric.avg || metric.count || 'N/A'}</td>
-  </tr>`;
-    }).join('');
-
-    // Construct the AI prompt
-    const prompt = `
-You are a performance optimization expert. Analyze the following k6 performance test data and provide actionable insights, recommendations, and fixes in a **strictly structured HTML table format**.
-
-### **Performance Data**
-The following table contains key performance metrics collected from a k6 performance test:
-${tableRows}
-### **Analysis Requirements**
-1. **Identify Bottlenecks**: Highlight areas where performance is suboptimal (e.g., high response times, high failure rates, low throughput).
-2. **Recommendations for Improvement**: Suggest best practices for optimizing request durations, reducing failures, and enhancing efficiency.
-3. **Fix Suggestions**: Provide specific fixes based on the metric values (e.g., caching, load balancing, database optimization).
-4. **Detailed Explanations**: Explain why each recommendation is relevant and how it addresses the identified issue.
-
-### **Output Format**
-You **MUST** return the result in the following **strictly structured HTML table format**:
-
-html
-<table border="1">
-  <tr>
-    <th>Metric</th>
-    <th>Value</th>
-    <th>Issue</th>
-    <th>Recommendation</th>
-    <th>Fix/Suggestion</th>
-    <th>Explanation</th>
-  </tr>
-  <tr>
-    <td>http_req_duration (p95)</td>
-    <td>1200.00ms</td>
-    <td>High response time for 95% of requests</td>
-    <td>Optimize database queries and reduce server-side processing time</td>
-    <td>1. Add database indexes. 2. Use caching for frequently accessed data.</td>
-    <td>High p95 response times indicate that most requests are slow, which can degrade user experience. Optimizing database queries and adding caching can significantly reduce response times.</td>
-  </tr>
-  <tr>
-    <td>http_reqs_failed</td>
-    <td>15.00%</td>
-    <td>High failure rate</td>
-    <td>Investigate server errors and improve error handling</td>
-    <td>1. Check server logs for 5xx errors. 2. Implement retry mechanisms for transient failures.</td>
-    <td>A high failure rate indicates potential issues with server stability or client-side errors. Investigating logs and improving error handling can reduce failures.</td>
-  </tr>
-</table>
-
-Rules
-1.Strict Formatting: You MUST use the exact HTML table structure provided above. Do not modify the structure or add extra columns/rows.
-2.Rounding: All numerical values MUST be rounded to 2 decimal places.
-3.Specificity: Recommendations and fixes MUST be specific and actionable. Avoid generic advice.
-4.Consistency: Ensure the output is consistent with the example provided.
-`;
-
-const aipayload = {
-    messages: [
-        { role: 'system', content: "You are an expert in k6 performance testing and optimization." },
-        { role: 'user', content: prompt },
-    ],
-    temperature: 0.1,
-};
-
-try {
-    const response = await axios.post(AiUrl, aipayload, {
-        headers: { "Content-Type": "application/json", "api-key": apiKey },
-    });
-
-    const aiAnalysis = response.data.choices[0].message.content.trim();
-
-    // ✅ Ensure script runs in a browser
-    if (typeof document !== "undefined") {
-        const dropdownContent = document.querySelector(".dropdown-content");
-        if (dropdownContent) {
-            dropdownContent.innerHTML = `<table border="1"><tr><th>AI Analysis</th></tr><tr><td>${aiAnalysis}</td></tr></table>`;
-        } else {
-            console.warn("Dropdown content not found in the document.");
-        }
+async function getAIAnalysis(jsonData, AiUrl, apiKey, aiConfig = {}, context = {}) {
+    if (aiConfig.provider === OFFLINE_PROVIDER) {
+        return analyzeMetrics(jsonData);
     }
 
-    return aiAnalysis;
+try {
+    return await requestFindings({ ...aiConfig, AiUrl, apikey: apiKey }, jsonData, context);
 } catch (error) {
-    console.error("Error sending request to AI API:", error);
-    return "Failed to fetch AI analysis.";
+    console.error("Error sending request to AI API:", error.message);
+    throw error;
 }
 }
 
@@ -334,10 +1004,27 @@ try {
 /**
  * Generates a custom HTML report based on k6 JSON data and AI analysis.
  * @param {Object} jsonData - k6 JSON data.
- * @param {string} aiAnalysis - AI analysis result.
+ * @param {Array<Object>|string} [aiAnalysis] - Findings from `getAIAnalysis`, or an HTML table, which is sanitized
+ *   (see `lib/html`). The analysis section is left out when not provided.
  * @param {string} reportPath - Path to save the HTML report.
+ * @param {Object} [reportOptions] - Additional report sections.
+ * @param {Object} [reportOptions.baseline] - Baseline comparison from `compareToBaseline`, rendered as "vs. Baseline".
+ * @param {Object} [reportOptions.verdict] - Threshold and check verdict from `evaluateVerdict`.
+ * @param {Array<Object>} [reportOptions.assertions] - Per-assertion counts from `summarizeAssertions`.
+ * @param {string} [reportOptions.analysisSource='ai'] - `offline` when the analysis comes from the built-in analyzer.
+ * @param {Object} [reportOptions.timeseries] - Time buckets from `aggregateTimeSeries`, rendered as timeline charts.
+ * @param {Array<Object>} [reportOptions.stages] - Ramp stage targets from `stageTargets`, overlaid on the timeline charts.
+ * @param {Object} [reportOptions.profile] - Load profile from `describeProfile`, shown under the title.
+ * @param {Object} [reportOptions.environment] - Environment the test ran against (`name`, `baseUrl`, `description`),
+ *   shown under the title.
+ * @param {Object} [reportOptions.aiAudit] - What was sent to the AI (`provider`, `model`, `url`, `rules`, `prompts`),
+ *   rendered as "Data Sent to AI".
+ * @param {Object} [reportOptions.kpis] - KPIs from `deriveKpis` for the summary cards, with the Apdex and SLO scores.
+ *   Derived from `jsonData` alone when not provided.
  */
-function generateCustomHtmlReport(jsonData, aiAnalysis, reportPath) {
+function generateCustomHtmlReport(jsonData, aiAnalysis, reportPath, reportOptions = {}) {
+    const timeseries = reportOptions.timeseries?.buckets?.length ? reportOptions.timeseries : null;
+
     // Extract metrics from jsonData
     const metricsMapping = [
         { label: "Total HTTP Requests", key: "http_reqs", format: v => `${v.count} requests` },
@@ -352,9 +1039,9 @@ function generateCustomHtmlReport(jsonData, aiAnalysis, reportPath) {
         { label: "Data Sent (bytes)", key: "data_sent", format: v => `Total: ${v.total}, Rate: ${v.rate} bytes/sec` },
         { label: "Data Received (bytes)", key: "data_received", format: v => `Total: ${v.total}, Rate: ${v.rate} bytes/sec` },
         { label: "Total Iterations", key: "iterations", format: v => `${v.count} iterations` },
-        { label: "TLS Handshaking Time (ms)", key: "tls_handshaking", format: v => `Avg: ${v.avg}, Min: ${v.min}, Med: ${v.med ?? '-'}, Max: ${v.max}` },
-        { label: "90th Percentile TLS Time", key: "tls_handshaking", format: v => `${v['p(90)']} ms` },
-        { label: "95th Percentile TLS Time", key: "tls_handshaking", format: v => `${v['p(95)']} ms` },
+        { label: "TLS Handshaking Time (ms)", key: "http_req_tls_handshaking", format: v => `Avg: ${v.avg}, Min: ${v.min}, Med: ${v.med ?? '-'}, Max: ${v.max}` },
+        { label: "90th Percentile TLS Time", key: "http_req_tls_handshaking", format: v => `${v['p(90)']} ms` },
+        { label: "95th Percentile TLS Time", key: "http_req_tls_handshaking", format: v => `${v['p(95)']} ms` },
         { label: "HTTP Request Failures", key: "http_req_failed", format: v => `Passes: ${v.passes}, Fails: ${v.fails}, Value: ${v.value}` },
         { label: "Checks Passed", key: "checks", format: v => `${v.passes} passes, ${v.fails} fails, Value: ${v.value}` },
         { label: "Iteration Duration (ms)", key: "iteration_duration", format: v => `Avg: ${v.avg}, Min: ${v.min}, Med: ${v.med ?? '-'}, Max: ${v.max}` },
@@ -363,41 +1050,119 @@ function generateCustomHtmlReport(jsonData, aiAnalysis, reportPath) {
         { label: "Receiving Time (ms)", key: "http_req_receiving", format: v => `Avg: ${v.avg}, Min: ${v.min}, Med: ${v.med ?? '-'}, Max: ${v.max}` },
         { label: "90th Percentile Receiving Time", key: "http_req_receiving", format: v => `${v['p(90)']} ms` },
         { label: "95th Percentile Receiving Time", key: "http_req_receiving", format: v => `${v['p(95)']} ms` },
-        { label: "Blocked Time (ms)", key: "blocked_time", format: v => `Avg: ${v.avg}, Min: ${v.min}, Med: ${v.med ?? '-'}, Max: ${v.max}` },
-        { label: "90th Percentile Blocked Time", key: "blocked_time", format: v => `${v['p(90)']} ms` },
-        { label: "95th Percentile Blocked Time", key: "blocked_time", format: v => `${v['p(95)']} ms` },
+        { label: "Blocked Time (ms)", key: "http_req_blocked", format: v => `Avg: ${v.avg}, Min: ${v.min}, Med: ${v.med ?? '-'}, Max: ${v.max}` },
+        { label: "90th Percentile Blocked Time", key: "http_req_blocked", format: v => `${v['p(90)']} ms` },
+        { label: "95th Percentile Blocked Time", key: "http_req_blocked", format: v => `${v['p(95)']} ms` },
         { label: "Max Virtual Users (VUs Max)", key: "vus_max", format: v => `${v.value} users` },
         { label: "Sending Time (ms)", key: "http_req_sending", format: v => `Avg: ${v.avg}, Min: ${v.min}, Med: ${v.med ?? '-'}, Max: ${v.max}` },
         { label: "90th Percentile Sending Time", key: "http_req_sending", format: v => `${v['p(90)']} ms` },
         { label: "95th Percentile Sending Time", key: "http_req_sending", format: v => `${v['p(95)']} ms` },
+        { label: "Auth Token Time (ms)", key: "auth_token_duration", format: v => `Avg: ${v.avg}, Min: ${v.min}, Med: ${v.med ?? '-'}, Max: ${v.max}` },
+        { label: "95th Percentile Auth Token Time", key: "auth_token_duration", format: v => `${v['p(95)']} ms` },
+        { label: "GraphQL Responses with Errors", key: "graphql_errors", format: v => `${v.passes} of ${v.passes + v.fails}, Value: ${v.value}` },
+        { label: "gRPC Request Duration (ms)", key: "grpc_req_duration", format: v => `Avg: ${v.avg}, Min: ${v.min}, Med: ${v.med ?? '-'}, Max: ${v.max}` },
+        { label: "90th Percentile gRPC Request Duration", key: "grpc_req_duration", format: v => `${v['p(90)']} ms` },
+        { label: "95th Percentile gRPC Request Duration", key: "grpc_req_duration", format: v => `${v['p(95)']} ms` },
+        { label: "WebSocket Sessions", key: "ws_sessions", format: v => `${v.count} sessions, Rate: ${v.rate} sessions/sec` },
+        { label: "WebSocket Connecting Time (ms)", key: "ws_connecting", format: v => `Avg: ${v.avg}, Min: ${v.min}, Med: ${v.med ?? '-'}, Max: ${v.max}` },
+        { label: "95th Percentile WebSocket Connecting Time", key: "ws_connecting", format: v => `${v['p(95)']} ms` },
+        { label: "WebSocket Session Duration (ms)", key: "ws_session_duration", format: v => `Avg: ${v.avg}, Min: ${v.min}, Med: ${v.med ?? '-'}, Max: ${v.max}` },
+        { label: "WebSocket Messages Sent", key: "ws_msgs_sent", format: v => `${v.count} messages, Rate: ${v.rate} messages/sec` },
+        { label: "WebSocket Messages Received", key: "ws_msgs_received", format: v => `${v.count} messages, Rate: ${v.rate} messages/sec` },
+        { label: "WebSocket Reply Time (ms)", key: "ws_reply_time", format: v => `Avg: ${v.avg}, Min: ${v.min}, Med: ${v.med ?? '-'}, Max: ${v.max}` },
+        { label: "95th Percentile WebSocket Reply Time", key: "ws_reply_time", format: v => `${v['p(95)']} ms` },
+        { label: "WebSocket Expected Replies Received", key: "ws_replies", format: v => `${v.passes} received, ${v.fails} missed, Value: ${v.value}` },
         { label: "Connecting Time (ms)", key: "http_req_connecting", format: v => `Avg: ${v.avg}, Min: ${v.min}, Med: ${v.med ?? '-'}, Max: ${v.max}` },
         { label: "90th Percentile Connecting Time", key: "http_req_connecting", format: v => `${v['p(90)']} ms` },
         { label: "95th Percentile Connecting Time", key: "http_req_connecting", format: v => `${v['p(95)']} ms` }
     ];
 
+    // Pure WebSocket or gRPC tests have no HTTP request duration; chart their own latency instead
+    const latencyChart = [
+        { key: 'http_req_duration', label: 'HTTP Request Duration' },
+        { key: 'grpc_req_duration', label: 'gRPC Request Duration' },
+        { key: 'ws_connecting', label: 'WebSocket Connecting Time' }
+    ].find(({ key }) => jsonData.metrics[key]);
+    const hasIterationChart = !!jsonData.metrics.iteration_duration;
+
     const tableRows = metricsMapping.map(({ label, key, format }) => {
         const value = jsonData.metrics[key];
-        return value ? `<tr><td>${label}</td><td>${format(value)}</td></tr>` : '';
+        return value ? `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(format(value))}</td></tr>` : '';
     }).join('');
 
-    const totalRequests = jsonData.metrics?.http_reqs?.count || 'N/A';
-    const duration = jsonData.metrics?.http_req_duration?.avg?.toFixed(2) ?? 'N/A';
-    const vus = jsonData.metrics?.vus?.value || 'N/A';
-    const throughput = (totalRequests / (jsonData.metrics?.iteration_duration?.max / 1000)).toFixed(2);
-    const iterations = jsonData.metrics?.iterations?.count || 'N/A';
-    const errorRate = ((jsonData.metrics?.checks?.fails || 0) / totalRequests * 100).toFixed(2) + '%';
+    const stepRows = getStepMetrics(jsonData).map(step => `
+                    <tr>
+                        <td>${escapeHtml(step.name)}</td>
+                        <td>${escapeHtml(step.requests ?? '-')}</td>
+                        <td>${step.duration ? escapeHtml(`Avg: ${step.duration.avg}, Med: ${step.duration.med ?? '-'}, Max: ${step.duration.max}`) : '-'}</td>
+                        <td>${step.duration ? `${escapeHtml(step.duration['p(90)'])} ms` : '-'}</td>
+                        <td>${step.duration ? `${escapeHtml(step.duration['p(95)'])} ms` : '-'}</td>
+                        <td>${step.failed ? `${(step.failed.value * 100).toFixed(2)}%` : '-'}</td>
+                    </tr>`).join('');
+    const baselineSection = reportOptions.baseline ? generateBaselineSection(reportOptions.baseline) : '';
+    const verdictSection = reportOptions.verdict ? generateVerdictSection(reportOptions.verdict) : '';
+    const assertionSection = reportOptions.assertions?.length ? generateAssertionSection(reportOptions.assertions) : '';
+
+    const stepSection = stepRows ? `
+    <!-- Step Breakdown Dropdown -->
+    <div class="dropdown">
+        <div class="dropdown-header" onclick="toggleDropdown(this)">
+            <h2>Step Breakdown</h2>
+            <span>▼</span>
+        </div>
+        <div class="dropdown-content">
+            <table>
+                <thead>
+                    <tr><th>Step</th><th>Requests</th><th>Response Time (ms)</th><th>p90</th><th>p95</th><th>Failure Rate</th></tr>
+                </thead>
+                <tbody>
+                    ${stepRows}
+                </tbody>
+            </table>
+        </div>
+    </div>
+` : '';
+
+    const kpis = reportOptions.kpis || deriveKpis(jsonData);
+    const format = (value, digits = 2) => typeof value === 'number' ? value.toFixed(digits) : 'N/A';
+    const totalRequests = kpis.requests ?? 'N/A';
+    const duration = format(kpis.durationSeconds, 1);
+    const avgResponseTime = format(kpis.latency.avg);
+    const vus = kpis.vusMax ?? 'N/A';
+    const throughput = format(kpis.rps);
+    const iterations = kpis.iterations ?? 'N/A';
+    const errorRate = typeof kpis.errorRate === 'number' ? `${(kpis.errorRate * 100).toFixed(2)}%` : 'N/A';
 
     // Calculate pass and fail counts
     const checks = jsonData.metrics?.checks;
     const passCount = checks ? checks.passes : 'N/A';
     const failCount = checks ? checks.fails : 'N/A';
-
-    const aiAnalysisHtml = aiAnalysis.match(/<table[^>]*>[\s\S]*?<\/table>/)[0]; // Extract only the table content
-const aiAnalysisTable = `
+    const apdexCard = kpis.apdex ? `
+            <div class="card">
+                <h2>Apdex (T = ${escapeHtml(kpis.apdex.t)} ms)</h2>
+                <p>${kpis.apdex.score.toFixed(2)} (${escapeHtml(kpis.apdex.rating)})</p>
+            </div>` : '';
+    const sloCards = kpis.slo ? generateSloCards(kpis.slo) : '';
+
+    let analysisSource = reportOptions.analysisSource || 'ai';
+    let aiAnalysisHtml = null;
+    if (Array.isArray(aiAnalysis)) {
+        aiAnalysisHtml = renderFindingsTable(aiAnalysis);
+    } else if (aiAnalysis) {
+        // Extract only the table content and keep just the allow-listed markup
+        const table = String(aiAnalysis).match(/<table[^>]*>[\s\S]*?<\/table>/)?.[0];
+        aiAnalysisHtml = table ? sanitizeHtml(table) : null;
+    }
+    if (aiAnalysis && !aiAnalysisHtml) {
+        console.warn('AI analysis did not contain a results table, using the built-in analysis instead');
+        aiAnalysisHtml = renderFindingsTable(analyzeMetrics(jsonData));
+        analysisSource = 'offline';
+    }
+const aiAnalysisTable = aiAnalysisHtml ? `
     <div class="ai-analysis-table">
         ${aiAnalysisHtml.trim()} <!-- Ensure no extra spaces -->
     </div>
-`;
+` : null;
 
     // HTML content
     const htmlContent = `
@@ -450,6 +1215,17 @@ const aiAnalysisTable = `
         }
 
         /* Dropdown Content */
+        .ai-audit pre {
+            white-space: pre-wrap;
+            word-break: break-word;
+            max-height: 400px;
+            overflow: auto;
+            background: #f4f4f9;
+            color: #333;
+            padding: 10px;
+            border-radius: 6px;
+        }
+
         .dropdown-content {
             display: none;
             background: #fff;
@@ -494,6 +1270,12 @@ const aiAnalysisTable = `
             margin-top: 20px;
         }
 
+        .report-context {
+            text-align: center;
+            color: #7f8c8d;
+            margin-top: -10px;
+        }
+
         .container {
             max-width: 1200px;
             margin: 20px auto;
@@ -531,6 +1313,23 @@ const aiAnalysisTable = `
             font-size: 18px;
         }
 
+        /* SLO Cards */
+        .slo-cards > h2 {
+            margin: 0 0 15px;
+        }
+
+        .card.grade-A { background: linear-gradient(135deg, #11998e, #38ef7d); }
+        .card.grade-B { background: linear-gradient(135deg, #2193b0, #6dd5ed); }
+        .card.grade-C { background: linear-gradient(135deg, #f7971e, #ffd200); }
+        .card.grade-D { background: linear-gradient(135deg, #f46b45, #eea849); }
+        .card.grade-F { background: linear-gradient(135deg, #cb2d3e, #ef473a); }
+        .card.grade-none { background: linear-gradient(135deg, #757f9a, #d7dde8); }
+
+        .card .grade {
+            font-size: 36px;
+            font-weight: bold;
+        }
+
 
 
         /* Charts */
@@ -600,7 +1399,7 @@ const aiAnalysisTable = `
             background: #34495e;
         }
     </style>
-    <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
+    ${inlineChartJsScript()}
 </head>
 <body>
 
@@ -608,59 +1407,87 @@ const aiAnalysisTable = `
     <button class="dark-mode-toggle" onclick="toggleDarkMode()">Toggle Dark Mode</button>
 
     <h1>k6 Performance Test Report</h1>
+    ${reportOptions.environment ? `<p class="report-context">Environment: ${escapeHtml(reportOptions.environment.name)}${reportOptions.environment.baseUrl ? ` (${escapeHtml(reportOptions.environment.baseUrl)})` : ''}${reportOptions.environment.description ? ` - ${escapeHtml(reportOptions.environment.description)}` : ''}</p>` : ''}
+    ${reportOptions.profile ? `<p class="report-context">Load profile: ${escapeHtml(reportOptions.profile.description)}</p>` : ''}
 
     <div class="container">
         <!-- Summary Cards -->
         <div class="summary-cards">
             <div class="card">
                 <h2>Total Requests</h2>
-                <p>${totalRequests}</p>
+                <p>${escapeHtml(totalRequests)}</p>
             </div>
             <div class="card">
-                <h2>Time Duration</h2>
-                <p>${duration}ms</p>
+                <h2>Test Duration</h2>
+                <p>${escapeHtml(duration)} s</p>
             </div>
             <div class="card">
-                <h2>Virtual Users</h2>
-                <p>${vus}</p>
+                <h2>Avg Response Time</h2>
+                <p>${escapeHtml(avgResponseTime)} ms</p>
+            </div>
+            <div class="card">
+                <h2>Max Virtual Users</h2>
+                <p>${escapeHtml(vus)}</p>
             </div>
             <div class="card">
                 <h2>Throughput</h2>
-                <p>${throughput}ms</p>
+                <p>${escapeHtml(throughput)} req/s</p>
             </div>
             <div class="card">
                 <h2>Pass Count</h2>
-                <p>${passCount}</p>
+                <p>${escapeHtml(passCount)}</p>
             </div>
             <div class="card">
                 <h2>Fail Count</h2>
-                <p>${failCount}</p>
+                <p>${escapeHtml(failCount)}</p>
             </div>
             <div class="card">
                 <h2>Iterations</h2>
-                <p>${iterations}</p>
+                <p>${escapeHtml(iterations)}</p>
             </div>
             <div class="card">
-                <h2>Error Rate</h2>
-                <p>${errorRate}</p>
-            </div>
+                <h2>HTTP Error Rate</h2>
+                <p>${escapeHtml(errorRate)}</p>
+            </div>${apdexCard}
         </div>
-
+${sloCards}
         <!-- Charts (in parallel) -->
         <div class="charts">
-            <!-- Chart for HTTP Request Duration -->
+            ${latencyChart ? `<!-- Chart for HTTP Request Duration -->
             <div class="chart-container">
-                <h2>HTTP Request Duration</h2>
+                <h2>${escapeHtml(latencyChart.label)}</h2>
                 <canvas id="httpReqDurationChart"></canvas>
-            </div>
+            </div>` : ''}
 
-            <!-- Chart for Iteration Duration -->
+            ${hasIterationChart ? `<!-- Chart for Iteration Duration -->
             <div class="chart-container">
                 <h2>Iteration Duration</h2>
                 <canvas id="iterationDurationChart"></canvas>
+            </div>` : ''}
+        </div>
+${timeseries ? `
+        <!-- Timeline Charts -->
+        <div class="charts">
+            <div class="chart-container">
+                <h2>Response Time Percentiles</h2>
+                <canvas id="latencyTimelineChart"></canvas>
+            </div>
+            <div class="chart-container">
+                <h2>Requests per Second</h2>
+                <canvas id="rpsTimelineChart"></canvas>
             </div>
         </div>
-
+        <div class="charts">
+            <div class="chart-container">
+                <h2>Error Rate</h2>
+                <canvas id="errorRateTimelineChart"></canvas>
+            </div>
+            <div class="chart-container">
+                <h2>Active Virtual Users</h2>
+                <canvas id="vusTimelineChart"></canvas>
+            </div>
+        </div>
+` : ''}
    <div class="dropdown-container">
     <!-- Performance Metrics Dropdown -->
     <div class="dropdown">
@@ -680,67 +1507,45 @@ const aiAnalysisTable = `
         </div>
     </div>
 
-    <!-- AI Analysis Dropdown (Directly Below) -->
+${verdictSection}
+${assertionSection}
+${stepSection}
+${baselineSection}
+    ${aiAnalysisTable ? `<!-- AI Analysis Dropdown (Directly Below) -->
     <div class="dropdown">
         <div class="dropdown-header" onclick="toggleDropdown(this)">
-            <h2>AI Analysis</h2>
+            <h2>${analysisSource === 'offline' ? 'Automated Analysis (offline rules)' : 'AI Analysis'}</h2>
             <span>▼</span>
         </div>
         <div class="dropdown-content">
             <p>${aiAnalysisTable}</p>
         </div>
-    </div>
+    </div>` : ''}
+${reportOptions.aiAudit ? generateAiAuditSection(reportOptions.aiAudit) : ''}
 </div>
 
 
    
 
-    <script>
-        async function loadMetrics() {
-            try {
-                const response = await fetch('metrics.json'); // JSON file path
-                const data = await response.json();
-                const tableBody = document.querySelector("#metricsTable tbody");
-
-                Object.entries(data.metrics).forEach(([key, value]) => {
-                    const row = document.createElement("tr");
-                    const metricCell = document.createElement("td");
-                    const valueCell = document.createElement("td");
-
-                    metricCell.textContent = key;
-                    valueCell.textContent = JSON.stringify(value, null, 2);
-
-                    row.appendChild(metricCell);
-                    row.appendChild(valueCell);
-                    tableBody.appendChild(row);
-                });
-            } catch (error) {
-                console.error("Error loading metrics:", error);
-            }
-        }
-
-        loadMetrics();
-    </script>
-
     <script>
         // Sample JSON data passed from the function
-        const jsonData = ${JSON.stringify(jsonData)};
+        const jsonData = ${safeJson(jsonData)};
 
         // Charts
-        const httpReqDurationCtx = document.getElementById('httpReqDurationChart').getContext('2d');
+        ${latencyChart ? `const httpReqDurationCtx = document.getElementById('httpReqDurationChart').getContext('2d');
         new Chart(httpReqDurationCtx, {
             type: 'bar',
             data: {
                 labels: ['Min', 'Median', 'Average', 'Max', 'p90', 'p95'],
                 datasets: [{
-                    label: 'HTTP Request Duration (ms)',
+                    label: ${safeJson(`${latencyChart.label} (ms)`)},
                     data: [
-    jsonData.metrics.http_req_duration.min,
-    jsonData.metrics.http_req_duration.med,
-    jsonData.metrics.http_req_duration.avg,
-    jsonData.metrics.http_req_duration.max,
-    jsonData.metrics.http_req_duration["p(90)"],
-    jsonData.metrics.http_req_duration["p(95)"]
+    jsonData.metrics.${latencyChart.key}.min,
+    jsonData.metrics.${latencyChart.key}.med,
+    jsonData.metrics.${latencyChart.key}.avg,
+    jsonData.metrics.${latencyChart.key}.max,
+    jsonData.metrics.${latencyChart.key}["p(90)"],
+    jsonData.metrics.${latencyChart.key}["p(95)"]
 ],
 
                     backgroundColor: 'rgba(52, 152, 219, 0.6)',
@@ -755,9 +1560,9 @@ const aiAnalysisTable = `
                     }
                 }
             }
-        });
+        });` : ''}
 
-        const iterationDurationCtx = document.getElementById('iterationDurationChart').getContext('2d');
+        ${hasIterationChart ? `const iterationDurationCtx = document.getElementById('iterationDurationChart').getContext('2d');
         new Chart(iterationDurationCtx, {
             type: 'line',
             data: {
@@ -785,7 +1590,9 @@ const aiAnalysisTable = `
                     }
                 }
             }
-        });
+        });` : ''}
+
+${timeseries ? generateTimelineChartsScript(timeseries, reportOptions.stages || [], reportOptions.profile?.unit) : ''}
 
         // Dropdown functionality
      function toggleDropdown(element) {
@@ -813,7 +1620,264 @@ const aiAnalysisTable = `
     // Write the HTML content to the report file
     fs.writeFileSync(reportPath, htmlContent);
 
-    console.log(`Custom HTML report with AI analysis generated: ${reportPath}`);
+    console.log(`Custom HTML report${aiAnalysisTable ? ` with ${analysisSource === 'offline' ? 'offline' : 'AI'} analysis` : ''} generated: ${reportPath}`);
+}
+
+/**
+ * Generates the Chart.js code for the timeline charts, with the ramp stage targets on a secondary axis.
+ * @param {Object} timeseries - Time buckets from `aggregateTimeSeries`.
+ * @param {Array<Object>} stages - Ramp stage targets from `stageTargets`.
+ * @param {string} [stageUnit='VUs'] - Unit of the stage targets, `iterations/s` for arrival-rate profiles.
+ * @returns {string} - Inline script code.
+ */
+function generateTimelineChartsScript(timeseries, stages, stageUnit = 'VUs') {
+    const points = field => timeseries.buckets.map(bucket => ({ x: bucket.t, y: bucket[field] }));
+    const stageDataset = stages.length ? [{
+        label: `Stage Target ${stageUnit}`,
+        data: stages.map(stage => ({ x: stage.t, y: stage.target })),
+        borderColor: 'rgba(149, 165, 166, 1)',
+        borderDash: [6, 4],
+        pointRadius: 0,
+        yAxisID: 'stages'
+    }] : [];
+
+    const chart = (id, datasets, yTitle) => {
+        const config = {
+            type: 'line',
+            data: { datasets: [...datasets, ...stageDataset] },
+            options: {
+                parsing: false,
+                scales: {
+                    x: { type: 'linear', title: { display: true, text: `Elapsed time (s), ${timeseries.bucketSeconds}s buckets` } },
+                    y: { beginAtZero: true, title: { display: true, text: yTitle } },
+                    ...(stageDataset.length ? { stages: { position: 'right', beginAtZero: true, grid: { drawOnChartArea: false }, title: { display: true, text: `Target ${stageUnit}` } } } : {})
+                }
+            }
+        };
+        return `new Chart(document.getElementById('${id}').getContext('2d'), ${safeJson(config)});`;
+    };
+
+    return `
+        // Timeline charts
+        ${chart('latencyTimelineChart', [
+            { label: 'p50', data: points('p50'), borderColor: 'rgba(46, 204, 113, 1)', pointRadius: 0 },
+            { label: 'p90', data: points('p90'), borderColor: 'rgba(241, 196, 15, 1)', pointRadius: 0 },
+            { label: 'p95', data: points('p95'), borderColor: 'rgba(231, 76, 60, 1)', pointRadius: 0 }
+        ], 'Response time (ms)')}
+        ${chart('rpsTimelineChart', [
+            { label: 'Requests/sec', data: points('rps'), borderColor: 'rgba(52, 152, 219, 1)', backgroundColor: 'rgba(52, 152, 219, 0.2)', fill: true, pointRadius: 0 }
+        ], 'Requests per second')}
+        ${chart('errorRateTimelineChart', [
+            { label: 'Error rate (%)', data: points('errorRate'), borderColor: 'rgba(231, 76, 60, 1)', backgroundColor: 'rgba(231, 76, 60, 0.2)', fill: true, pointRadius: 0 }
+        ], 'Failed requests (%)')}
+        ${chart('vusTimelineChart', [
+            { label: 'Active VUs', data: points('vus'), borderColor: 'rgba(155, 89, 182, 1)', stepped: true, pointRadius: 0 }
+        ], 'Virtual users')}`;
+}
+
+/**
+ * Renders the SLO score as graded cards: the overall score, then one card per objective.
+ * @param {Object} slo - SLO scores from `deriveKpis`.
+ * @returns {string} - HTML section.
+ */
+function generateSloCards(slo) {
+    // Shares are declared as 0-1 but read better as percentages
+    const formatValue = (value, unit) => unit === '%' ? `${(value * 100).toFixed(2)}%` : `${Number(value.toFixed(2))}${unit ? ` ${unit}` : ''}`;
+    const objectiveCards = slo.objectives.map(objective => `
+                <div class="card grade-${objective.grade || 'none'}">
+                    <h2>${escapeHtml(objective.label)}</h2>
+                    <p class="grade">${escapeHtml(objective.grade || '-')}</p>
+                    <p>${objective.actual !== null ? escapeHtml(formatValue(objective.actual, objective.unit)) : 'not measured'} (target ${escapeHtml(formatValue(objective.target, objective.unit))})${objective.passed === null ? '' : objective.passed ? ' ✅' : ' ❌'}</p>
+                </div>`).join('');
+
+    return `
+        <!-- SLO Cards -->
+        <div class="slo-cards">
+            <h2>Service Level Objectives (${slo.passed ? 'met' : 'missed'})</h2>
+            <div class="summary-cards">
+                <div class="card grade-${slo.grade || 'none'}">
+                    <h2>SLO Score</h2>
+                    <p class="grade">${escapeHtml(slo.grade || '-')}</p>
+                    <p>${slo.score !== null ? `${slo.score.toFixed(1)} / 100` : 'N/A'}</p>
+                </div>${objectiveCards}
+            </div>
+        </div>
+`;
+}
+
+/**
+ * Renders the "Thresholds & Checks" dropdown with the pass/fail verdict of each.
+ * @param {Object} verdict - Verdict from `evaluateVerdict`.
+ * @returns {string} - HTML section.
+ */
+function generateVerdictSection(verdict) {
+    const thresholdRows = verdict.thresholds.map(threshold => `
+                    <tr><td>Threshold</td><td>${escapeHtml(`${threshold.metric}: ${threshold.threshold}`)}</td><td>-</td><td>${threshold.passed ? '✅ Passed' : '❌ Failed'}</td></tr>`).join('');
+    const checkRows = verdict.checks.map(check => `
+                    <tr><td>Check</td><td>${escapeHtml(check.name)}</td><td>${escapeHtml(check.passes)} passes, ${escapeHtml(check.fails)} fails</td><td>${check.passed ? '✅ Passed' : '❌ Failed'}</td></tr>`).join('');
+
+    if (!thresholdRows && !checkRows) {
+        return '';
+    }
+
+    return `
+    <!-- Thresholds & Checks Dropdown -->
+    <div class="dropdown">
+        <div class="dropdown-header" onclick="toggleDropdown(this)">
+            <h2>Thresholds &amp; Checks (${verdict.passed ? 'passed' : 'failed'})</h2>
+            <span>▼</span>
+        </div>
+        <div class="dropdown-content">
+            <table>
+                <thead>
+                    <tr><th>Type</th><th>Name</th><th>Counts</th><th>Status</th></tr>
+                </thead>
+                <tbody>
+                    ${thresholdRows}
+                    ${checkRows}
+                </tbody>
+            </table>
+        </div>
+    </div>
+`;
+}
+
+/**
+ * Renders the "Data Sent to AI" dropdown: the endpoint, the redaction rules and every prompt exactly as sent,
+ * so the payload can be reviewed.
+ * @param {Object} audit - `{ provider, model, url, rules, prompts: [{ system, user }] }`.
+ * @returns {string} - HTML section.
+ */
+function generateAiAuditSection(audit) {
+    const prompts = audit.prompts.map((prompt, index) => `
+            <h3>Request ${index + 1}${index > 0 ? ' (asking again after a malformed reply)' : ''}</h3>
+            <pre>${escapeHtml(`[system]\n${prompt.system}\n\n[user]\n${prompt.user.trim()}`)}</pre>`).join('');
+
+    return `
+    <!-- Data Sent to AI Dropdown -->
+    <div class="dropdown ai-audit">
+        <div class="dropdown-header" onclick="toggleDropdown(this)">
+            <h2>Data Sent to AI</h2>
+            <span>▼</span>
+        </div>
+        <div class="dropdown-content">
+            <p>Provider: ${escapeHtml(audit.provider)}${audit.model ? `, model ${escapeHtml(audit.model)}` : ''}, endpoint ${escapeHtml(audit.url || '-')}</p>
+            <p>Redacted before sending: ${audit.rules.length ? escapeHtml(audit.rules.join('; ')) : 'nothing (redaction is off)'}</p>
+            ${prompts || '<p>No request was sent.</p>'}
+        </div>
+    </div>
+`;
+}
+
+/**
+ * Renders the "Assertions" dropdown with pass/fail counts per assertion.
+ * @param {Array<Object>} assertions - Per-assertion counts from `summarizeAssertions`.
+ * @returns {string} - HTML section.
+ */
+function generateAssertionSection(assertions) {
+    const failed = assertions.filter(assertion => assertion.passed === false).length;
+    const notRun = assertions.filter(assertion => assertion.passed === null).length;
+    const summary = [failed ? `${failed} of ${assertions.length} failed` : null, notRun ? `${notRun} not run` : null].filter(Boolean);
+    const rows = assertions.map(assertion => {
+        const total = assertion.passes + assertion.fails;
+        return `
+                    <tr>
+                        <td>${escapeHtml(assertion.name)}</td>
+                        <td>${escapeHtml(assertion.step || '-')}</td>
+                        <td>${escapeHtml(assertion.passes)}</td>
+                        <td>${escapeHtml(assertion.fails)}</td>
+                        <td>${total ? `${(assertion.passes / total * 100).toFixed(2)}%` : '-'}</td>
+                        <td>${assertion.passed === null ? '⚪ Not run' : assertion.passed ? '✅ Passed' : '❌ Failed'}</td>
+                    </tr>`;
+    }).join('');
+
+    return `
+    <!-- Assertions Dropdown -->
+    <div class="dropdown">
+        <div class="dropdown-header" onclick="toggleDropdown(this)">
+            <h2>Assertions (${summary.length ? summary.join(', ') : 'all passed'})</h2>
+            <span>▼</span>
+        </div>
+        <div class="dropdown-content">
+            <table>
+                <thead>
+                    <tr><th>Assertion</th><th>Step</th><th>Passes</th><th>Fails</th><th>Pass Rate</th><th>Status</th></tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                </tbody>
+            </table>
+        </div>
+    </div>
+`;
+}
+
+/**
+ * Renders the "vs. Baseline" dropdown with per-metric deltas and regression flags.
+ * @param {Object} baseline - Baseline comparison from `compareToBaseline`.
+ * @returns {string} - HTML section.
+ */
+function generateBaselineSection(baseline) {
+    const format = (value, unit) => `${value.toFixed(2)}${unit === '%' ? '%' : ` ${unit}`}`;
+    const rows = baseline.comparisons.map(comparison => {
+        const sign = comparison.delta > 0 ? '+' : '';
+        const change = comparison.toleranceType === 'absolute'
+            ? `${sign}${comparison.delta.toFixed(2)} pp`
+            : `${sign}${format(comparison.delta, comparison.unit)}${comparison.deltaPercent !== null ? ` (${sign}${comparison.deltaPercent.toFixed(2)}%)` : ''}`;
+        const tolerance = comparison.toleranceType === 'absolute' ? `${comparison.tolerance} pp` : `${comparison.tolerance}%`;
+        return `
+                    <tr>
+                        <td>${escapeHtml(comparison.label)}</td>
+                        <td>${escapeHtml(format(comparison.baseline, comparison.unit))}</td>
+                        <td>${escapeHtml(format(comparison.current, comparison.unit))}</td>
+                        <td>${escapeHtml(change)}</td>
+                        <td>${escapeHtml(tolerance)}</td>
+                        <td>${comparison.regression ? '❌ Regression' : '✅ OK'}</td>
+                    </tr>`;
+    }).join('');
+
+    return `
+    <!-- Baseline Comparison Dropdown -->
+    <div class="dropdown">
+        <div class="dropdown-header" onclick="toggleDropdown(this)">
+            <h2>vs. Baseline (${baseline.passed ? 'no regressions' : `${baseline.regressions.length} regression(s)`})</h2>
+            <span>▼</span>
+        </div>
+        <div class="dropdown-content">
+            <table>
+                <thead>
+                    <tr><th>Metric</th><th>Baseline</th><th>Current</th><th>Change</th><th>Tolerance</th><th>Status</th></tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                </tbody>
+            </table>
+        </div>
+    </div>
+`;
+}
+
+/**
+ * Collects the per-step sub-metrics (`http_req_duration{step:<name>}` etc.) from a k6 summary.
+ * @param {Object} jsonData - k6 JSON data.
+ * @returns {Array<Object>} - One entry per step with `name`, `requests`, `duration` and `failed`.
+ */
+function getStepMetrics(jsonData) {
+    const steps = new Map();
+    Object.entries(jsonData.metrics || {}).forEach(([key, value]) => {
+        const match = key.match(/^(http_req_duration|http_reqs|http_req_failed)\{step:(.+)\}$/);
+        if (!match) {
+            return;
+        }
+        const [, metric, tag] = match;
+        const name = stepName(tag);
+        const step = steps.get(name) || { name };
+        if (metric === 'http_req_duration') step.duration = value;
+        if (metric === 'http_reqs') step.requests = value.count;
+        if (metric === 'http_req_failed') step.failed = value;
+        steps.set(name, step);
+    });
+    return [...steps.values()];
 }
 
-module.exports = { runPerformanceTest };
+module.exports = { runPerformanceTest, generateCustomHtmlReport, getAIAnalysis };